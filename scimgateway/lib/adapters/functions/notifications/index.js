@@ -2,6 +2,7 @@ const { notifications } = require("../../data/notifications");
 const { formatAuth } = require("../../../utils/formatAuth");
 const { formatURL } = require("../../../utils/formatURL");
 const { getCacheInfo } = require("../../../utils/getCacheInfo");
+const { getRequestPath } = require("../../../utils/getRequestPath");
 let api;
 try {
   api = require("@opentelemetry/api");
@@ -27,7 +28,7 @@ async function fetchNotification(ctx, type, caches, verifyTracing, scimData) {
           verifyAllowedRequests(
             request.allowed_requests,
             ctx.request.method,
-            ctx.request.url.split("/")[1].toLowerCase()
+            getRequestPath(ctx.request.url)
           )
       )
       .map(async (request) => {
@@ -3,6 +3,7 @@ const { requests } = require("../data/requests");
 
 const { verifyRules } = require("./rules");
 const { fetchApi } = require("./api");
+const { getRequestPath } = require("../../utils/getRequestPath");
 
 function verifyAllowedRequests(allowedRequests, method, path) {
   const results = allowedRequests.map(
@@ -26,7 +27,7 @@ async function fetchInterceptors(ctx, caches, verifyTracing) {
         verifyAllowedRequests(
           item.allowed_requests,
           ctx.request.method,
-          ctx.request.url.split("/")[1].toLowerCase()
+          getRequestPath(ctx.request.url)
         )
     )
     .sort((a, b) => a.position - b.position);
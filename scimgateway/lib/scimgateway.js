@@ -29,6 +29,14 @@ const utils = require('../lib/utils')
 const countries = require('../lib/countries')
 const { createChecker } = require('is-in-subnet')
 const { createTerminus } = require('@godaddy/terminus')
+const { ScimError, getErrorType } = require('./utils/scimError')
+const { getTokenClient } = require('./utils/authClient')
+const {
+  getResourceSchema, validateResource, validatePatch, dropReadOnly, applyReturned, checkImmutable, checkPatchMutability
+} = require('./utils/scimSchema')
+const { resolvePatch } = require('./utils/scimPatch')
+const { getCapabilities, getAuthenticationSchemes, getServiceProviderConfig, getResourceTypes } = require('./utils/serviceProviderConfig')
+const { bulkResponseSchema, checkBulkRequest, runBulk } = require('./utils/scimBulk')
 require('events').EventEmitter.prototype._maxListeners = Infinity
 const { fetchInterceptors } = require('./interceptors/functions')
 const { fetchNotification } = require('./adapters/functions/notifications')
@@ -69,6 +77,21 @@ const ScimGateway = function () {
   this.logger = logger // exposed to plugin
   this.notValidAttributes = notValidAttributes // exposed to plugin
   this.authPassThroughAllowed = false // set to true by plugin if allowed
+  this.capabilities = {} // set by plugin - { filter, sort, patch, bulk, etag, changePassword, maxResults, maxOperations, maxPayloadSize } advertised by GET /ServiceProviderConfig
+  // sort: getObj.sortBy/sortOrder are handled by plugin, etag: meta.version is maintained, enables ETag, If-Match and If-None-Match (plugin ctx.ifMatch is the matched If-Match version)
+  this.onSignal = null // set by plugin - async cleanup on shutdown e.g. draining and closing database connections
+  this.notify = async (type, method, url, body) => { // exposed to plugin - sends events not originating from a request (e.g. purge jobs) to the notifications of matching type
+    const ctx = {
+      request: { header: { host: `localhost:${config.port}` }, method, url, body },
+      body
+    }
+    try {
+      return await fetchNotification(ctx, type, caches, verifyTracing)
+    } catch (err) {
+      logger.error(`${gwName}[${pluginName}] notify ${type} ${method} ${url} error: ${err.message}`)
+      return false
+    }
+  }
   let pwErrCount = 0
   let requestCounter = 0
   const oAuthTokenExpire = 3600 // seconds
@@ -267,6 +290,23 @@ try{
   }
 
   if (config.auth.passThrough.enabled === true) foundPassThrough = true
+  const authMethods = [ // advertised by GET /ServiceProviderConfig authenticationSchemes, first is primary
+    [foundBasic, 'basic'], [foundBearerToken, 'bearerToken'], [foundBearerJwtAzure, 'bearerJwtAzure'],
+    [foundBearerJwt, 'bearerJwt'], [foundBearerOAuth, 'bearerOAuth']
+  ].filter(([found]) => found).map(([, method]) => method)
+
+  // getCapabilities returns capabilities of gateway and plugin, assembled on first call when the plugin has been loaded
+  let capabilities
+  this.getCapabilities = () => {
+    if (!capabilities) {
+      capabilities = getCapabilities(this.capabilities, {
+        patch: typeof this[handler.users.modifyMethod] === 'function' || typeof this[handler.groups.modifyMethod] === 'function',
+        changePassword: typeof this[handler.users.modifyMethod] === 'function'
+      })
+    }
+    return capabilities
+  }
+  setImmediate(() => logger.debug(`${gwName}[${pluginName}] capabilities=${JSON.stringify(this.getCapabilities())}`))
 
   if (config.certificate.pfx.password) pwPfxPassword = ScimGateway.prototype.getPassword('scimgateway.certificate.pfx.password', configFile)
   if (config.emailOnError.smtp.password) config.emailOnError.smtp.password = ScimGateway.prototype.getPassword('scimgateway.emailOnError.smtp.password', configFile)
@@ -289,6 +329,7 @@ try{
     scimDef = require('../lib/scimdef-v2')
   } else scimDef = require('../lib/scimdef-v1')
 
+  this.customSchemaAttributes = { User: [], Group: [] } // exposed to plugin - custom schema attribute definitions merged into core schemas
   if (config.scim.customSchema) { // merge plugin custom schema extension into core schemas
     let custom
     try {
@@ -308,6 +349,7 @@ try{
         schema.attributes = arr2.filter(arr2Obj => { // only merge attributes (objects) having unique name into core schema
           if (!arr1.some(arr1Obj => arr1Obj.name === arr2Obj.name)) {
             customMerged = true
+            this.customSchemaAttributes[schemas[i]].push(arr2Obj)
             if (!isScimv2) arr2Obj.schema = 'urn:scim:schemas:core:1.0'
             return arr2Obj
           }
@@ -325,6 +367,56 @@ try{
     }
   }
 
+  // schemas used for validating POST/PUT/PATCH bodies and attribute mutability/returned, custom schema attributes are already merged into scimDef
+  // handle.description is 'User' or 'Group', other resources (servicePlans) have no schema
+  const resourceSchemas = {
+    User: getResourceSchema(scimDef, 'User'),
+    Group: getResourceSchema(scimDef, 'Group')
+  }
+
+  // validateBody throws invalidValue/invalidSyntax (PatchOp also invalidPath/noTarget) naming the offending path
+  const validateBody = (handle, body, required) => {
+    const schema = resourceSchemas[handle.description]
+    if (!schema || config.scim.skipValidation) return
+    if (body.Operations) validatePatch(body, schema)
+    else validateResource(body, schema, { required })
+  }
+
+  // currentGetter returns an async function retrieving the current object of resource id once when first called
+  const currentGetter = (ctx, handle, id) => {
+    let currentObj
+    return async () => {
+      if (!currentObj) currentObj = await getCurrentObj(this, ctx, handle, id)
+      if (!currentObj || Object.keys(currentObj).length < 1) throw new ScimError('notFound', `${handle.description} ${id} not found`)
+      return currentObj
+    }
+  }
+
+  // checkMutability returns a copy of body without readOnly attributes (e.g. id, meta and groups) and throws mutability
+  // when a PATCH path targets a readOnly attribute or an immutable attribute having a value is changed
+  // getCurrent is only called when body includes immutable attributes, and is undefined on create
+  const checkMutability = async (handle, body, getCurrent) => {
+    const schema = resourceSchemas[handle.description]
+    if (!schema) return body
+    if (body.Operations) return await checkPatchMutability(body, schema, getCurrent)
+    const obj = dropReadOnly(body, schema)
+    if (getCurrent) await checkImmutable(obj, schema, getCurrent)
+    return obj
+  }
+
+  // resolvePatchBody resolves PatchOp paths e.g. value filters into operations supported by convertedScim20, see lib/utils/scimPatch.js
+  const resolvePatchBody = async (handle, body, getCurrent) => {
+    const schema = resourceSchemas[handle.description]
+    if (!schema || !body.Operations) return body
+    return await resolvePatch(body, schema, getCurrent)
+  }
+
+  // returnedAttrs removes attributes never returned (e.g. password) and returned "request" attributes not included in attributes
+  const returnedAttrs = (handle, obj, attributes) => {
+    const schema = handle && resourceSchemas[handle.description]
+    return schema ? applyReturned(obj, schema, attributes) : obj
+  }
+
   this.testmodeusers = scimDef.TestmodeUsers.Resources // exposed and used by plugin-loki
   this.testmodegroups = scimDef.TestmodeGroups.Resources // exposed and used by plugin-loki
 
@@ -402,7 +494,7 @@ try{
             }
           }
           if (arr[i].readOnly === true && method !== 'GET') return reject(new Error(`only allowing readOnly for user ${arr[i].username} according to basic configuration readOnly=true`))
-          return resolve(true)
+          return resolve(`basic:${arr[i].username}`) // authenticated client
         }
       }
       reject(new Error(`authentication failed for user ${userName}`))
@@ -423,7 +515,7 @@ try{
             }
           }
           if (arr[i].readOnly === true && method !== 'GET') return reject(new Error('only allowing readOnly for this bearerToken according to bearerToken configuration readOnly=true'))
-          return resolve(true)
+          return resolve(`bearerToken:${i}`) // authenticated client, index of the token configuration
         }
       }
       reject(new Error('bearerToken authentication failed'))
@@ -452,7 +544,7 @@ try{
               if (arr[i].readOnly === true && ctx.request.method !== 'GET') return reject(new Error(`only allowing readOnly for user ${arr[i].tenantIdGUID} according to bearerJwtAzure configuration readOnly=true`))
             }
           }
-          resolve(true)
+          resolve(getTokenClient('bearerJwtAzure', payload)) // authenticated client
         } else reject(new Error(`Azure JWT authorization failed: ${info}`))
       })(ctx, next)
     })
@@ -470,7 +562,7 @@ try{
             }
           }
           if (el.readOnly === true && method !== 'GET') return resolve(false)
-          resolve(true) // authorization OK
+          resolve(typeof decoded === 'object' && decoded ? decoded : {}) // authorization OK, verified payload
         }
       })
     })
@@ -488,7 +580,7 @@ try{
     }
     const arrResolve = await Promise.all(promises).catch((err) => { throw (err) })
     for (const i in arrResolve) {
-      if (arrResolve[i]) return true
+      if (arrResolve[i]) return getTokenClient('bearerJwt', arrResolve[i]) // authenticated client
     }
     throw new Error('JWT authentication failed')
   }
@@ -516,7 +608,7 @@ try{
           }
         }
         if (tokenObj.readOnly === true && method !== 'GET') return reject(new Error('only allowing readOnly for this bearerOAuth according to bearerOAuth configuration readOnly=true'))
-        return resolve(true)
+        return resolve(getTokenClient('bearerOAuth', { client_id: tokenObj.clientId })) // authenticated client
       } else {
         for (let i = 0; i < arr.length; i++) { // resolve if token memory store have been cleared because of a gateway restart
           if (utils.getEncrypted(authToken, arr[i].client_secret) === arr[i].client_secret && !arr[i].isTokenRequested) {
@@ -530,9 +622,10 @@ try{
             config.auth.oauthTokenStore[authToken] = {
               expireDate: Date.now() + expires * 1000,
               readOnly: readOnly,
-              baseEntities: baseEntities
+              baseEntities: baseEntities,
+              clientId: arr[i].client_id
             }
-            return resolve(true)
+            return resolve(getTokenClient('bearerOAuth', arr[i])) // authenticated client
           }
         }
       }
@@ -568,7 +661,7 @@ try{
     const arr = ctx.request.url.split('/')
     if (arr.length > 0) {
       const entity = arr[1].split('?')[0]
-      if (!['Users', 'Groups', 'Schemas', 'ServiceProviderConfigs', 'scim'].includes(entity)) baseEntity = entity
+      if (!['Users', 'Groups', 'Schemas', 'ServiceProviderConfigs', 'scim', '.search', 'Bulk'].includes(entity)) baseEntity = entity
     }
     try { // authenticate
       const arrResolve = await Promise.all([
@@ -580,7 +673,13 @@ try{
         authPassThrough(baseEntity, ctx.request.method, authType, authToken, ctx)])
         .catch((err) => { throw (err) })
       for (const i in arrResolve) {
-        if (arrResolve[i]) return next() // auth OK - continue with routes
+        if (arrResolve[i]) { // auth OK - continue with routes
+          if (typeof arrResolve[i] === 'string') { // authenticated client passed to plugins as ctx.client e.g. "basic:<username>", "bearerOAuth:<client_id>"
+            if (!ctx.ctxCopy) ctx.ctxCopy = {}
+            ctx.ctxCopy.client = arrResolve[i]
+          }
+          return next()
+        }
       }
       // all false - invalid auth method or missing pluging config
       let err
@@ -683,8 +782,8 @@ app.use(cors({ origin: '*', credentials: true }));
       })
   })
 
-  // Middleware
-  app.use(async (ctx, next) => {
+  // Middleware - interceptors and notifications are also run for each Bulk operation, see bulkRequest
+  const interceptors = async (ctx, next) => {
     return new Promise(async(resolve) => {
     const { method } = ctx.request
       if(!['POST', 'PUT', 'PATCH'].includes(method)) {
@@ -711,10 +810,11 @@ app.use(cors({ origin: '*', credentials: true }));
       }
       
     })
-  })
+  }
+  app.use(interceptors)
 
 
-  app.use(async (ctx, next) => {
+  const notifications = async (ctx, next) => {
     return new Promise(async(resolve) => {
     
       async function runAdapters(){        
@@ -735,7 +835,8 @@ app.use(cors({ origin: '*', credentials: true }));
         runAdapters()
       }
     })
-  })
+  }
+  app.use(notifications)
   
   
 
@@ -775,7 +876,7 @@ app.use(cors({ origin: '*', credentials: true }));
   // scimv1 = ServiceProviderConfigs, scimv2 ServiceProviderConfig
   router.get(['/(|scim/)(ServiceProviderConfigs|ServiceProviderConfig)',
     '/:baseEntity/(|scim/)(ServiceProviderConfigs|ServiceProviderConfig)'], async (ctx) => {
-    const tx = scimDef.ServiceProviderConfigs
+    const tx = getServiceProviderConfig(scimDef, this.getCapabilities(), getAuthenticationSchemes(authMethods, isScimv2))
     const location = ctx.origin + ctx.path
     if (tx.meta) tx.meta.location = location
     else {
@@ -817,6 +918,7 @@ app.use(cors({ origin: '*', credentials: true }));
 
     let expires
     let token
+    let clientId
     let readOnly = false
     let baseEntities
     let err
@@ -832,6 +934,7 @@ app.use(cors({ origin: '*', credentials: true }));
         if (!arr[i].client_id || !arr[i].client_secret) continue
         if (arr[i].client_id === jsonBody.client_id && arr[i].client_secret === jsonBody.client_secret) { // authentication OK
           token = utils.getEncrypted(jsonBody.client_secret, jsonBody.client_secret)
+          clientId = arr[i].client_id
           baseEntities = utils.copyObj(arr[i].baseEntities)
           if (arr[i].readOnly && arr[i].readOnly === true) readOnly = true
           if (arr[i].expires_in && !isNaN(arr[i].expires_in)) expires = arr[i].expires_in
@@ -877,7 +980,8 @@ app.use(cors({ origin: '*', credentials: true }));
     config.auth.oauthTokenStore[token] = { // update token store
       expireDate: dtNow + expires * 1000, // 1 hour
       readOnly: readOnly,
-      baseEntities: baseEntities
+      baseEntities: baseEntities,
+      clientId: clientId
     }
 
     const tx = {
@@ -907,8 +1011,12 @@ app.use(cors({ origin: '*', credentials: true }));
 
   router.get(['/(|scim/)(ResourceTypes|ResourceType)',
     '/:baseEntity/(|scim/)(ResourceTypes|ResourceType)'], async (ctx) => { // ResourceTypes according to v2 specification
-    const tx = scimDef.ResourceType
-    ctx.body = tx
+    if (!isScimv2) {
+      ctx.body = scimDef.ResourceType
+      return
+    }
+    const names = [handler.users, handler.groups].filter(handle => typeof this[handle.getMethod] === 'function').map(handle => handle.description)
+    ctx.body = getResourceTypes(scimDef, names)
   })
 
   // ==========================================
@@ -986,8 +1094,18 @@ app.use(cors({ origin: '*', credentials: true }));
           }
         }
       }
+      const etag = this.getCapabilities().etag ? getETag(userObj) : undefined
+      if (etag) {
+        ctx.set('ETag', etag)
+        if (etagMatch(ctx.get('If-None-Match'), etag)) { // not modified
+          ctx.status = 304
+          endSpan(ctx, span, requestSpan)
+          return
+        }
+      }
       const location = ctx.origin + ctx.path
       userObj = addPrimaryAttrs(userObj)
+      userObj = returnedAttrs(handle, userObj, ctx.query.attributes)
       scimdata = utils.stripObj(userObj, ctx.query.attributes, ctx.query.excludedAttributes)
       scimdata = addSchemas(scimdata, handle.description, isScimv2)
       if (scimdata.meta) scimdata.meta.location = location
@@ -999,7 +1117,7 @@ app.use(cors({ origin: '*', credentials: true }));
       await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
     } catch (err) {
       let scimType = errorStatus(err, isScimv2, ctx)
-      const e = jsonErr(config.scim.version, pluginName, ctx.status, err)
+      const e = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
       ctx.body = e
       await fetchNotification(ctx, 'onError', caches, verifyTracing)
     }
@@ -1012,38 +1130,31 @@ app.use(cors({ origin: '*', credentials: true }));
   //           getUsers
   //           getGroups
   // ==========================================
-  router.get(['/(|scim/)(Users|Groups|servicePlans)',
-    '/:baseEntity/(|scim/)(Users|Groups|servicePlans)'], async (ctx) => {
-      return await TelemetryWrapper(api, async () => {
-        requestSpan = verifyTracing(ctx,  'Request')
-      
-    if (ctx.query.attributes) ctx.query.attributes = ctx.query.attributes.split(',').map(item => item.trim()).join()
-    if (ctx.query.excludedAttributes) ctx.query.excludedAttributes = ctx.query.excludedAttributes.split(',').map(item => item.trim()).join()
-    if(ctx.originalUrl.at(-1) === '/'){
-      ctx.originalUrl = ctx.originalUrl.slice(0, ctx.originalUrl.length-1)
-    }
-    let u = ctx.originalUrl.substr(ctx.originalUrl.lastIndexOf('/') + 1) // u = Users, Groups, servicePlans, ...
-    
-    const ui = u.indexOf('?')
-    if (ui > 0) u = u.substr(0, ui)
-    const handle = handler[u]
-
+  //
+  // searchResources returns the list response of GET /Users, /Groups and /servicePlans, also used by POST /.search
+  // query = { filter, attributes, excludedAttributes, sortBy, sortOrder, startIndex, count } having attributes and
+  // excludedAttributes as comma separated strings, resourcePath is the endpoint used for meta.location e.g. /Users
+  //
+  const searchResources = async (ctx, handle, query, resourcePath) => {
     const getObj = {
       attribute: undefined,
       operator: undefined,
       value: undefined,
-      rawFilter: ctx.query.filter, // included for advanced filtering
+      rawFilter: query.filter, // included for advanced filtering
       startIndex: undefined,
-      count: undefined
+      count: undefined,
+      sortBy: query.sortBy, // plugin may sort when capabilities.sort, otherwise scimgateway sorts the returned page
+      sortOrder: query.sortOrder
     }
 
-    if (ctx.query.filter) {
-      ctx.query.filter = ctx.query.filter.trim()
-      const arrFilter = ctx.query.filter.split(' ')
+    if (query.filter) {
+      query.filter = query.filter.trim()
+      const arrFilter = query.filter.split(' ')
       if (arrFilter.length === 3 || (arrFilter.length > 2 && arrFilter[2].startsWith('"') && arrFilter[arrFilter.length - 1].endsWith('"'))) {
         getObj.attribute = arrFilter[0] // userName
         getObj.operator = arrFilter[1].toLowerCase() // eq
-        getObj.value = decodeURIComponent(arrFilter.slice(2).join(' ').replace(/"/g, '')) // bjensen
+        getObj.value = arrFilter.slice(2).join(' ').replace(/"/g, '') // bjensen
+        if (ctx.method === 'GET') getObj.value = decodeURIComponent(getObj.value)
       }
     }
 
@@ -1053,7 +1164,7 @@ app.use(cors({ origin: '*', credentials: true }));
         getObj.attribute = `${getObj.attribute}.value` // emails => emails.value
       } else if (getObj.attribute.includes('[')) { // e.g. rawFilter = emails[type eq "work"]
         const rePattern = /^(.*)\[(.*) (.*) (.*)\]$/
-        const arrMatches = ctx.query.filter.match(rePattern)
+        const arrMatches = query.filter.match(rePattern)
         if (Array.isArray(arrMatches) && arrMatches.length === 5) {
           getObj.attribute = `${arrMatches[1]}.${arrMatches[2]}` // emails.type
           getObj.operator = arrMatches[3]
@@ -1065,19 +1176,13 @@ app.use(cors({ origin: '*', credentials: true }));
         }
       }
       if (getObj.attribute === 'password') {
-        err = new Error(`Not accepting password filtering: ${getObj.rawFilter}`)
-        err.name = 'invalidFilter'
+        err = new ScimError('invalidFilter', `Not accepting password filtering: ${getObj.rawFilter}`)
       }
     } else if (getObj.rawFilter && ![' and ', ' or ', ' not '].some(el => getObj.rawFilter.includes(el))) { // advanced filtering
       // err = new Error(`Invalid filter: ${getObj.rawFilter}`)
       // err.name = 'invalidFilter'
     }
-    if (err) {
-      let scimType = errorStatus(err, isScimv2, ctx)
-      const e = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
-      ctx.body = e
-      return
-    }
+    if (err) throw err
 
     //
     // Get user request for retreving common unique attributes:
@@ -1152,65 +1257,180 @@ app.use(cors({ origin: '*', credentials: true }));
 
     logger.debug(`${gwName}[${pluginName}] [Get ${handle.description}s]${info}`)
     logger.debug(`${gwName}[${pluginName}] calling "${handle.getMethod}" and awaiting result`)
-    try {
-      getObj.startIndex = ctx.query.startIndex ? parseInt(ctx.query.startIndex) : undefined
-      getObj.count = ctx.query.count ? parseInt(ctx.query.count) : undefined
-      if (getObj.startIndex && !getObj.count) getObj.count = 200 // defaults to 200 (plugin may override)
-      if (getObj.count && !getObj.startIndex) getObj.startIndex = 1
-
-      const res = await this[handle.getMethod](ctx.params.baseEntity, utils.copyObj(getObj), ctx.query.attributes ? ctx.query.attributes.split(',').map(item => item.trim()) : [], ctx.ctxCopy)
-      let scimdata = {
-        Resources: [],
-        totalResults: null
-      }
-      if (res) {
-        if (res.Resources && Array.isArray(res.Resources)) {
-          scimdata.Resources = res.Resources
-          scimdata.totalResults = res.totalResults
-        } else if (Array.isArray(res)) scimdata.Resources = res
-        else if (typeof (res) === 'object' && Object.keys(res).length > 0) scimdata.Resources[0] = res
-      }
-
-      // check for user attribute groups and include if needed
-      if (handle.getMethod === handler.users.getMethod && !config.scim.groupMemberOfUser) { // groupMemberOfUser can be set to true for skipping
-        let arrAttr = []
-        if (ctx.query.attributes) arrAttr = ctx.query.attributes.split(',')
-        if ((!ctx.query.attributes || arrAttr.includes('groups')) && typeof this[handler.groups.getMethod] === 'function') { // include groups
-          for (let j = 0; j < scimdata.Resources.length; j++) {
-            const userObj = scimdata.Resources[j]
-            if (!userObj.id) break
-            if (userObj.groups) break
-            logger.debug(`${gwName}[${pluginName}] calling "${handler.groups.getMethod}" and awaiting result - groups to be included`)
-            let res
-            try {
-              res = await this[handler.groups.getMethod](ctx.params.baseEntity, { attribute: 'members.value', operator: 'eq', value: decodeURIComponent(userObj.id) }, ['id', 'displayName'], ctx.ctxCopy) // await scimgateway.getUserGroups(baseEntity, userObj.id, 'members.value,displayName')
-            } catch (err) {} // method may be implemented but throwing error like groups not supported/implemented
-            if (res && res.Resources && Array.isArray(res.Resources) && res.Resources.length > 0) {
-              userObj.groups = []
-              for (let i = 0; i < res.Resources.length; i++) {
-                if (!res.Resources[i].id) continue
-                const el = {}
-                el.value = res.Resources[i].id
-                if (res.Resources[i].displayName) el.display = res.Resources[i].displayName
-                if (isScimv2) el.type = 'direct'
-                else el.type = { value: 'direct' }
-                userObj.groups.push(el) // { "value": "Admins", "display": "Admins", "type": "direct"}
-              }
+    getObj.startIndex = query.startIndex ? parseInt(query.startIndex) : undefined
+    getObj.count = query.count ? parseInt(query.count) : undefined
+    const { maxResults } = this.getCapabilities()
+    if (getObj.startIndex && !getObj.count) getObj.count = maxResults // plugin may override
+    if (getObj.count > maxResults) getObj.count = maxResults // RFC 7644 section 3.4.2.4, count above maxResults is lowered
+    if (getObj.count && !getObj.startIndex) getObj.startIndex = 1
+
+    const res = await this[handle.getMethod](ctx.params.baseEntity, utils.copyObj(getObj), query.attributes ? query.attributes.split(',').map(item => item.trim()) : [], ctx.ctxCopy)
+    let scimdata = {
+      Resources: [],
+      totalResults: null
+    }
+    if (res) {
+      if (res.Resources && Array.isArray(res.Resources)) {
+        scimdata.Resources = res.Resources
+        scimdata.totalResults = res.totalResults
+      } else if (Array.isArray(res)) scimdata.Resources = res
+      else if (typeof (res) === 'object' && Object.keys(res).length > 0) scimdata.Resources[0] = res
+    }
+
+    // check for user attribute groups and include if needed
+    if (handle.getMethod === handler.users.getMethod && !config.scim.groupMemberOfUser) { // groupMemberOfUser can be set to true for skipping
+      let arrAttr = []
+      if (query.attributes) arrAttr = query.attributes.split(',')
+      if ((!query.attributes || arrAttr.includes('groups')) && typeof this[handler.groups.getMethod] === 'function') { // include groups
+        for (let j = 0; j < scimdata.Resources.length; j++) {
+          const userObj = scimdata.Resources[j]
+          if (!userObj.id) break
+          if (userObj.groups) break
+          logger.debug(`${gwName}[${pluginName}] calling "${handler.groups.getMethod}" and awaiting result - groups to be included`)
+          let res
+          try {
+            res = await this[handler.groups.getMethod](ctx.params.baseEntity, { attribute: 'members.value', operator: 'eq', value: decodeURIComponent(userObj.id) }, ['id', 'displayName'], ctx.ctxCopy) // await scimgateway.getUserGroups(baseEntity, userObj.id, 'members.value,displayName')
+          } catch (err) {} // method may be implemented but throwing error like groups not supported/implemented
+          if (res && res.Resources && Array.isArray(res.Resources) && res.Resources.length > 0) {
+            userObj.groups = []
+            for (let i = 0; i < res.Resources.length; i++) {
+              if (!res.Resources[i].id) continue
+              const el = {}
+              el.value = res.Resources[i].id
+              if (res.Resources[i].displayName) el.display = res.Resources[i].displayName
+              if (isScimv2) el.type = 'direct'
+              else el.type = { value: 'direct' }
+              userObj.groups.push(el) // { "value": "Admins", "display": "Admins", "type": "direct"}
             }
           }
         }
       }
+    }
+
+    let location = ctx.origin + resourcePath
+    if (query.attributes || (query.excludedAttributes && query.excludedAttributes.includes('meta'))) location = null
+    for (let i = 0; i < scimdata.Resources.length; i++) {
+      scimdata.Resources[i] = addPrimaryAttrs(scimdata.Resources[i])
+      scimdata.Resources[i] = returnedAttrs(handle, scimdata.Resources[i], query.attributes)
+      scimdata.Resources[i] = utils.stripObj(scimdata.Resources[i], query.attributes, query.excludedAttributes)
+    }
+    scimdata = addResources(scimdata, query.startIndex, this.getCapabilities().sort ? undefined : query.sortBy, query.sortOrder)
+    scimdata = addSchemas(scimdata, handle.description, isScimv2, location)
+
+    return scimdata
+  }
 
-      let location = ctx.origin + ctx.path
-      if (ctx.query.attributes || (ctx.query.excludedAttributes && ctx.query.excludedAttributes.includes('meta'))) location = null
-      for (let i = 0; i < scimdata.Resources.length; i++) {
-        scimdata.Resources[i] = addPrimaryAttrs(scimdata.Resources[i])
-        scimdata.Resources[i] = utils.stripObj(scimdata.Resources[i], ctx.query.attributes, ctx.query.excludedAttributes)
+  router.get(['/(|scim/)(Users|Groups|servicePlans)',
+    '/:baseEntity/(|scim/)(Users|Groups|servicePlans)'], async (ctx) => {
+      return await TelemetryWrapper(api, async () => {
+        requestSpan = verifyTracing(ctx,  'Request')
+      
+    if (ctx.query.attributes) ctx.query.attributes = ctx.query.attributes.split(',').map(item => item.trim()).join()
+    if (ctx.query.excludedAttributes) ctx.query.excludedAttributes = ctx.query.excludedAttributes.split(',').map(item => item.trim()).join()
+    if(ctx.originalUrl.at(-1) === '/'){
+      ctx.originalUrl = ctx.originalUrl.slice(0, ctx.originalUrl.length-1)
+    }
+    let u = ctx.originalUrl.substr(ctx.originalUrl.lastIndexOf('/') + 1) // u = Users, Groups, servicePlans, ...
+    
+    const ui = u.indexOf('?')
+    if (ui > 0) u = u.substr(0, ui)
+    const handle = handler[u]
+
+    try {
+      ctx.body = await searchResources(ctx, handle, ctx.query, ctx.path)
+      await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
+    } catch (err) {
+      let scimType = errorStatus(err, isScimv2, ctx)
+      const e = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
+      ctx.body = e
+      await fetchNotification(ctx, 'onError', caches, verifyTracing)
+    }
+    endSpan(ctx, span, requestSpan)
+    })
+  })
+
+  // ==========================================
+  //           search
+  // ==========================================
+  //
+  // POST = /Users/.search, /Groups/.search or /.search (all resource types) according to RFC 7644 section 3.4.3
+  // Body example:
+  // {"schemas":["urn:ietf:params:scim:api:messages:2.0:SearchRequest"],"attributes":["userName","name.familyName"],"filter":"userName sw \"bj\"","sortBy":"userName","startIndex":1,"count":10}
+  //
+  // searches are reads, interceptors and notifications allowing POST users/groups are not run (see lib/utils/getRequestPath.js)
+  //
+  // searchAll returns the resources of all types matching query, paginated and sorted by the gateway
+  // each type returns at most the first startIndex - 1 + count resources (count defaults to maxResults), bounded by
+  // maxResults, a startIndex above maxResults is rejected as tooMany
+  // a resource type rejecting the filter as invalidFilter (e.g. userName for groups) is skipped
+  const searchAll = async (ctx, query, basePath) => {
+    const { maxResults } = this.getCapabilities()
+    const startIndex = Math.max(parseInt(query.startIndex) || 1, 1)
+    const count = query.count !== undefined && query.count !== null
+      ? Math.min(Math.max(parseInt(query.count) || 0, 0), maxResults)
+      : maxResults
+    if (startIndex > maxResults) {
+      throw new ScimError('tooMany', `startIndex of a search of all resource types must not exceed maxResults ${maxResults}`)
+    }
+    const end = Math.min(startIndex - 1 + count, maxResults)
+    const resources = []
+    const types = ['Users', 'Groups']
+    let totalResults = 0
+    let filterErr
+    for (const u of types) {
+      try {
+        // count 0 would be a search without paging
+        const res = await searchResources(ctx, handler[u], { ...query, startIndex: 1, count: Math.max(end, 1) }, `${basePath}/${u}`)
+        resources.push(...res.Resources)
+        totalResults += res.totalResults || res.Resources.length
+      } catch (err) {
+        const type = getErrorType(err)
+        if (!type || type.scimType !== 'invalidFilter') throw err
+        if (filterErr) throw err // rejected by all resource types
+        filterErr = err
       }
-      scimdata = addResources(scimdata, ctx.query.startIndex, ctx.query.sortBy, ctx.query.sortOrder)
-      scimdata = addSchemas(scimdata, handle.description, isScimv2, location)
+    }
+    if (query.sortBy) resources.sort(utils.sortByKey(query.sortBy, query.sortOrder))
+    const page = resources.slice(startIndex - 1, end)
+    const scimdata = addResources({ Resources: page, totalResults }, startIndex)
+    return addSchemas(scimdata, undefined, isScimv2)
+  }
 
-      ctx.body = scimdata
+  router.post(['/(|scim/)(Users|Groups)/.search', '/:baseEntity/(|scim/)(Users|Groups)/.search',
+    '/(|scim/).search', '/:baseEntity/(|scim/).search'], async (ctx) => {
+    return await TelemetryWrapper(api, async () => {
+      requestSpan = verifyTracing(ctx, 'Request')
+
+    const searchSchema = 'urn:ietf:params:scim:api:messages:2.0:SearchRequest'
+    const body = ctx.request.body || {}
+    const toList = (value) => { // attributes as array or comma separated string
+      if (value === undefined || value === null) return undefined
+      return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).join()
+    }
+    const basePath = ctx.path.slice(0, ctx.path.lastIndexOf('/.search'))
+    const u = basePath.substr(basePath.lastIndexOf('/') + 1) // Users, Groups or baseEntity/scim/empty for all resource types
+    const handle = ['Users', 'Groups'].includes(u) ? handler[u] : undefined
+    logger.debug(`${gwName}[${pluginName}] [Search ${handle ? `${handle.description}s` : 'all resource types'}]`)
+
+    try {
+      if (isScimv2 && (!Array.isArray(body.schemas) || !body.schemas.includes(searchSchema))) {
+        throw new ScimError('invalidSyntax', `search request must have schemas ${searchSchema}`)
+      }
+      if (body.filter !== undefined && typeof body.filter !== 'string') {
+        throw new ScimError('invalidFilter', 'search request filter must be a string')
+      }
+      const query = {
+        filter: body.filter,
+        attributes: toList(body.attributes),
+        excludedAttributes: toList(body.excludedAttributes),
+        sortBy: body.sortBy,
+        sortOrder: body.sortOrder,
+        startIndex: body.startIndex,
+        count: body.count
+      }
+      if (handle) ctx.body = await searchResources(ctx, handle, query, basePath)
+      else ctx.body = await searchAll(ctx, query, basePath)
+      ctx.status = 200
       await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
     } catch (err) {
       let scimType = errorStatus(err, isScimv2, ctx)
@@ -1254,12 +1474,6 @@ app.use(cors({ origin: '*', credentials: true }));
       err = jsonErr(config.scim.version, pluginName, ctx.status, err)
       ctx.body = err
       return
-    } else if (handle.createMethod === 'createUser' && !jsonBody.userName && !jsonBody.externalId) {
-      ctx.status = 500
-      let err = new Error('userName or externalId is mandatory')
-      err = jsonErr(config.scim.version, pluginName, ctx.status, err)
-      ctx.body = err
-      return
     } else if (handle.createMethod === 'createGroup' && !jsonBody.displayName && !jsonBody.externalId) {
       ctx.status = 500
       let err = new Error('displayName or externalId is mandatory')
@@ -1269,7 +1483,14 @@ app.use(cors({ origin: '*', credentials: true }));
     }
 
     logger.debug(`${gwName}[${pluginName}] POST ${ctx.originalUrl} body=${strBody}`)
-    jsonBody = JSON.parse(strBody) // using a copy
+    try {
+      validateBody(handle, jsonBody, true)
+      jsonBody = await checkMutability(handle, JSON.parse(strBody)) // using a copy
+    } catch (err) {
+      const scimType = errorStatus(err, isScimv2, ctx)
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
+      return
+    }
     const [scimdata, err] = ScimGateway.prototype.convertedScim(jsonBody)
     logger.debug(`${gwName}[${pluginName}] convertedBody=${JSON.stringify(scimdata)}`)
     if (err) {
@@ -1312,10 +1533,14 @@ app.use(cors({ origin: '*', credentials: true }));
 
       const location = `${ctx.origin}${ctx.path}/${jsonBody.id}`
       if (!jsonBody.meta) jsonBody.meta = {}
+      if (isScimv2) jsonBody.meta.resourceType = handle.description
       jsonBody.meta.location = location
+      jsonBody = returnedAttrs(handle, jsonBody)
       delete jsonBody.password
       jsonBody = addPrimaryAttrs(jsonBody)
       ctx.set('Location', location)
+      const etag = this.getCapabilities().etag ? getETag(jsonBody) : undefined
+      if (etag) ctx.set('ETag', etag)
       ctx.status = 201
       ctx.body = jsonBody
       await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
@@ -1354,12 +1579,13 @@ app.use(cors({ origin: '*', credentials: true }));
     logger.debug(`${gwName}[${pluginName}] calling "${handle.deleteMethod}" and awaiting result`)
 
     try {
+      await checkIfMatch(this, ctx, handle, id)
       await this[handle.deleteMethod](ctx.params.baseEntity, id, ctx.ctxCopy)
       ctx.status = 204
       await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
     } catch (err) {
-      let scimType = errorStatus(err, isScimv2, ctx)   
-      const e = jsonErr(config.scim.version, pluginName, ctx.status, err)
+      let scimType = errorStatus(err, isScimv2, ctx)
+      const e = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
       ctx.body = e
       await fetchNotification(ctx, 'onError', caches, verifyTracing)
     }
@@ -1410,9 +1636,20 @@ app.use(cors({ origin: '*', credentials: true }));
       ctx.body = err
     } else {
       logger.debug(`${gwName}[${pluginName}] [Modify ${handle.description}] id=${id}`)
+      let body
+      try {
+        validateBody(handle, jsonBody, false)
+        const getCurrent = currentGetter(ctx, handle, id)
+        body = await checkMutability(handle, jsonBody, getCurrent)
+        body = await resolvePatchBody(handle, body, getCurrent)
+      } catch (err) {
+        const scimType = errorStatus(err, isScimv2, ctx)
+        ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
+        return
+      }
       let scimdata, err
-      if (jsonBody.Operations) [scimdata, err] = ScimGateway.prototype.convertedScim20(jsonBody) // v2.0
-      else [scimdata, err] = ScimGateway.prototype.convertedScim(jsonBody) // v1.1
+      if (body.Operations) [scimdata, err] = ScimGateway.prototype.convertedScim20(body) // v2.0
+      else [scimdata, err] = ScimGateway.prototype.convertedScim(body) // v1.1
       logger.debug(`${gwName}[${pluginName}] convertedBody=${JSON.stringify(scimdata)}`)
       if (err) {
         ctx.status = 500
@@ -1422,6 +1659,7 @@ app.use(cors({ origin: '*', credentials: true }));
       }
       logger.debug(`${gwName}[${pluginName}] calling "${handle.modifyMethod}" and awaiting result`)
       try {
+        await checkIfMatch(this, ctx, handle, id)
         await this[handle.modifyMethod](ctx.params.baseEntity, id, scimdata, ctx.ctxCopy)
         // include full object in response
         if (handle.getMethod !== handler.users.getMethod && handle.getMethod !== handler.groups.getMethod) { // getUsers or getGroups not implemented
@@ -1444,9 +1682,13 @@ app.use(cors({ origin: '*', credentials: true }));
         if (scimdata.Resources.length !== 1) throw new Error(`using ${handle.getMethod} to retrive user ${id} after ${handle.modifyMethod} but response did not include user object`)
         const location = ctx.origin + ctx.path
         ctx.set('Location', location)
+        const etag = this.getCapabilities().etag ? getETag(scimdata.Resources[0]) : undefined
+        if (etag) ctx.set('ETag', etag)
         scimdata.Resources[0] = addPrimaryAttrs(scimdata.Resources[0])
+        scimdata.Resources[0] = returnedAttrs(handle, scimdata.Resources[0], ctx.query.attributes)
         scimdata = utils.stripObj(scimdata.Resources[0], ctx.query.attributes, ctx.query.excludedAttributes)
         scimdata = addSchemas(scimdata, handle.description, isScimv2)
+        if (scimdata.meta) scimdata.meta.location = location
         ctx.status = 200
         ctx.body = scimdata
         await fetchNotification(ctx, 'onSuccess', caches, verifyTracing, ScimGateway.prototype.convertedScim20(ctx.request.body))
@@ -1484,6 +1726,8 @@ app.use(cors({ origin: '*', credentials: true }));
     } else {
       logger.debug(`${gwName}[${pluginName}] PUT ${ctx.originalUrl} body=${strBody}`)
       try {
+        validateBody(handle, jsonBody, true)
+
         // get current object
         logger.debug(`${gwName}[${pluginName}] calling "${handle.getMethod}" and awaiting result`)
         let res = await this[handle.getMethod](ctx.params.baseEntity, { attribute: 'id', operator: 'eq', value: id }, [], ctx.ctxCopy)
@@ -1493,6 +1737,8 @@ app.use(cors({ origin: '*', credentials: true }));
         else if (Array.isArray(res) && res.length === 1) currentObj = res[0]
         else if (res && typeof (res) === 'object' && Object.keys(res).length > 0) currentObj = res
         else throw Error(`put using method ${handle.getMethod} got unexpected response: ${JSON.stringify(res)}`)
+        await checkIfMatch(this, ctx, handle, id, currentObj)
+        const body = await checkMutability(handle, jsonBody, async () => currentObj)
 
         const clearedObj = clearObjectValues(currentObj)
         delete clearedObj.active
@@ -1512,10 +1758,9 @@ app.use(cors({ origin: '*', credentials: true }));
         }
 
         // merge cleared object with the new
-        const newObj = utils.extendObj(clearedObj, jsonBody)
+        const newObj = utils.extendObj(clearedObj, body)
         delete newObj.id
-        delete newObj.userName
-        delete newObj.externalId
+        if (!newObj.userName) delete newObj.userName // required, not cleared when missing in body
         delete newObj.groups // do not support "group member of users"
         delete newObj.schemas
         delete newObj.meta
@@ -1528,97 +1773,6 @@ app.use(cors({ origin: '*', credentials: true }));
         logger.debug(`${gwName}[${pluginName}] calling "${handle.modifyMethod}" and awaiting result`)
         await this[handle.modifyMethod](ctx.params.baseEntity, id, scimdata, ctx.ctxCopy)
 
-        // add/remove groups
-        if (jsonBody.groups && Array.isArray(jsonBody.groups)) { // only if groups included, { "groups": [] } will remove all existing
-          if (typeof this[handler.groups.getMethod] !== 'function' || typeof this[handler.groups.modifyMethod] !== 'function') {
-            throw new Error('replaceUser error: put operation can not be fully completed for the user`s groups, methods like getGroups() and modifyGroup() are not implemented')
-          }
-          let currentGroups
-          if (currentObj.groups && Array.isArray(currentObj.groups)) currentGroups = currentObj.groups
-          else { // try to get current groups the standard way
-            let res
-            try {
-              res = await this[handler.groups.getMethod](ctx.params.baseEntity, { attribute: 'members.value', operator: 'eq', value: decodeURIComponent(id) }, ['id', 'displayName'], ctx.ctxCopy)
-            } catch (err) {} // method may be implemented but throwing error like groups not supported/implemented
-            currentGroups = []
-            if (res && res.Resources && Array.isArray(res.Resources) && res.Resources.length > 0) {
-              for (let i = 0; i < res.Resources.length; i++) {
-                if (!res.Resources[i].id) continue
-                const el = {}
-                el.value = res.Resources[i].id
-                if (res.Resources[i].displayName) el.display = res.Resources[i].displayName
-                currentGroups.push(el) // { "value": "Admins", "display": "Admins"}
-              }
-            }
-          }
-          currentGroups = currentGroups.map((el) => {
-            if (el.value) {
-              el.value = decodeURIComponent(el.value)
-            }
-            return el
-          })
-
-          const addGrps = []
-          const removeGrps = []
-          // add
-          for (let i = 0; i < jsonBody.groups.length; i++) {
-            if (!jsonBody.groups[i].value) continue
-            jsonBody.groups[i].value = decodeURIComponent(jsonBody.groups[i].value)
-            let found = false
-            for (let j = 0; j < currentGroups.length; j++) {
-              if (jsonBody.groups[i].value === currentGroups[j].value) {
-                found = true
-                break
-              }
-            }
-            if (!found && jsonBody.groups[i].value) addGrps.push(jsonBody.groups[i].value)
-          }
-          // remove
-          for (let i = 0; i < currentGroups.length; i++) {
-            let found = false
-            for (let j = 0; j < jsonBody.groups.length; j++) {
-              if (!jsonBody.groups[j].value) continue
-              jsonBody.groups[j].value = decodeURIComponent(jsonBody.groups[j].value)
-              if (currentGroups[i].value === jsonBody.groups[j].value) {
-                found = true
-                break
-              }
-            }
-            if (!found && currentGroups[i].value) removeGrps.push(currentGroups[i].value)
-          }
-
-          const addGroups = async (grp) => {
-            const obj = { members: [{ value: id }] }
-            return await this[handler.groups.modifyMethod](ctx.params.baseEntity, grp, obj, ctx.ctxCopy)
-          }
-
-          const removeGroups = async (grp) => {
-            const obj = { members: [{ operation: 'delete', value: id }] }
-            return await this[handler.groups.modifyMethod](ctx.params.baseEntity, grp, obj, ctx.ctxCopy)
-          }
-
-          let errRemove
-          if (!config.scim.usePutSoftSync) { // default will remove any existing groups not included, usePutSoftSync=true prevents removing existing groups (only add groups)
-            await Promise.all(removeGrps.map((grp) => removeGroups(grp)))
-              .then()
-              .catch((err) => {
-                errRemove = err
-              })
-          }
-
-          let errAdd
-          await Promise.all(addGrps.map((grp) => addGroups(grp)))
-            .then()
-            .catch((err) => {
-              errAdd = err
-            })
-
-          let errMsg = ''
-          if (errRemove) errMsg = `removeGroups error: ${errRemove.message}`
-          if (errAdd) errMsg += `${errMsg ? ' ' : ''}addGroups error: ${errAdd.message}`
-          if (errMsg) throw new Error(errMsg)
-        }
-
         // get updated object
         logger.debug(`${gwName}[${pluginName}] calling "${handle.getMethod}" and awaiting result`)
         res = await this[handle.getMethod](ctx.params.baseEntity, { attribute: 'id', operator: 'eq', value: id }, [], ctx.ctxCopy)
@@ -1630,7 +1784,7 @@ app.use(cors({ origin: '*', credentials: true }));
         else throw Error(`put using method ${handle.getMethod} got unexpected response: ${JSON.stringify(res)}`)
 
         // include groups
-        if (handle.getMethod === handler.users.getMethod && typeof this[handler.groups.getMethod] === 'function') {
+        if (handle.getMethod === handler.users.getMethod && !scimdata.groups && !config.scim.groupMemberOfUser && typeof this[handler.groups.getMethod] === 'function') { // plugin may include groups
           logger.debug(`${gwName}[${pluginName}] calling "${handler.groups.getMethod}" and awaiting result`)
           const res = await this[handler.groups.getMethod](ctx.params.baseEntity, { attribute: 'members.value', operator: 'eq', value: id }, ['id', 'displayName'], ctx.ctxCopy)
           let grps = []
@@ -1654,13 +1808,18 @@ app.use(cors({ origin: '*', credentials: true }));
 
         const location = ctx.origin + ctx.path
         ctx.set('Location', location)
+        const etag = this.getCapabilities().etag ? getETag(scimdata) : undefined
+        if (etag) ctx.set('ETag', etag)
+        scimdata = returnedAttrs(handle, scimdata, ctx.query.attributes)
         scimdata = addSchemas(scimdata, handle.description, isScimv2)
+        if (!scimdata.meta) scimdata.meta = {}
+        scimdata.meta.location = location
         ctx.status = 200
         ctx.body = scimdata
         await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
       } catch (err) {
         let scimType = errorStatus(err, isScimv2, ctx)
-        const e = jsonErr(config.scim.version, pluginName, ctx.status, err)
+        const e = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
         ctx.body = e
         await fetchNotification(ctx, 'onError', caches, verifyTracing)
       }
@@ -1669,6 +1828,159 @@ app.use(cors({ origin: '*', credentials: true }));
   })
   })
 
+  // ==========================================
+  //           verifyPassword
+  // ==========================================
+  //
+  // POST = /Users/<id>/verifyPassword
+  // Body: {"password":"<password>"}
+  // Response: {"verified":true} or {"verified":false}
+  // Lets other components (e.g. forms) check user credentials, the stored password (hash) is never returned
+  // Unknown user and wrong password give the same response {"verified":false}
+  // Failed attempts are counted per user and per client ip, config.verifyPassword.maxAttempts (default 5) failures of a user
+  // or maxAttemptsPerIp (default 50) failures from a client ip within windowSeconds (default 300) gives status 429 until the window has passed
+  //
+  const verifyPasswordLimit = { maxAttempts: 5, maxAttemptsPerIp: 50, windowSeconds: 300, ...config.verifyPassword }
+  const verifyPasswordFailures = new Map() // key => { count, resetAt }
+
+  const verifyPasswordRequest = async (ctx) => {
+    const id = decodeURIComponent(ctx.params.id)
+    logger.debug(`${gwName}[${pluginName}] [Verify password] id=${id}`)
+    if (typeof this.verifyPassword !== 'function') {
+      ctx.status = 501
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, new Error('verifyPassword is not supported by plugin'))
+      return
+    }
+    const password = ctx.request.body ? ctx.request.body.password : undefined
+    if (!password || typeof password !== 'string') {
+      ctx.status = 400
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, new Error('password is mandatory'), 'invalidValue')
+      return
+    }
+    const now = Date.now()
+    for (const [key, failures] of verifyPasswordFailures) {
+      if (failures.resetAt <= now) verifyPasswordFailures.delete(key)
+    }
+    const keys = [`user:${ctx.params.baseEntity || ''}:${id.toLowerCase()}`, `ip:${ctx.request.ipcli}`]
+    const limits = [verifyPasswordLimit.maxAttempts, verifyPasswordLimit.maxAttemptsPerIp]
+    const limited = keys.map((key) => verifyPasswordFailures.get(key)).find((failures, i) => failures && failures.count >= limits[i])
+    if (limited) {
+      logger.error(`${gwName}[${pluginName}] [Verify password] id=${id} too many failed attempts from ${ctx.request.ipcli}`)
+      ctx.set('Retry-After', String(Math.ceil((limited.resetAt - now) / 1000)))
+      ctx.status = 429
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, new Error('Too many failed password verifications, try again later'))
+      return
+    }
+    logger.debug(`${gwName}[${pluginName}] calling "verifyPassword" and awaiting result`)
+    try {
+      let verified = false
+      try {
+        verified = await this.verifyPassword(ctx.params.baseEntity, id, password, ctx.ctxCopy) === true
+      } catch (err) {
+        errorStatus(err, isScimv2, ctx)
+        if (ctx.status !== 404) throw err // unknown user is a failed verification
+      }
+      if (verified) verifyPasswordFailures.delete(keys[0])
+      else {
+        for (const key of keys) {
+          const failures = verifyPasswordFailures.get(key) || { count: 0, resetAt: now + verifyPasswordLimit.windowSeconds * 1000 }
+          failures.count += 1
+          verifyPasswordFailures.set(key, failures)
+        }
+      }
+      ctx.status = 200
+      ctx.body = { verified }
+    } catch (err) {
+      const scimType = errorStatus(err, isScimv2, ctx)
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
+    }
+  }
+
+  router.post(['/(|scim/)Users/:id/verifyPassword',
+    '/:baseEntity/(|scim/)Users/:id/verifyPassword'], async (ctx) => {
+    return await TelemetryWrapper(api, async () => {
+      requestSpan = verifyTracing(ctx, 'Request')
+      await verifyPasswordRequest(ctx)
+      endSpan(ctx, span, requestSpan)
+    })
+  })
+
+  // ==========================================
+  //           Bulk
+  // ==========================================
+  //
+  // POST = /Bulk
+  // Body example:
+  // {"schemas":["urn:ietf:params:scim:api:messages:2.0:BulkRequest"],"failOnErrors":1,"Operations":[
+  //   {"method":"POST","path":"/Users","bulkId":"qwerty","data":{"userName":"Alice"}},
+  //   {"method":"POST","path":"/Groups","bulkId":"ytrewq","data":{"displayName":"Tour Guides","members":[{"value":"bulkId:qwerty"}]}}]}
+  //
+  // Each operation is run as a request of its own through interceptors, notifications and routes (see bulkRequest),
+  // bulkId references and failOnErrors are handled by runBulk in lib/utils/scimBulk.js
+  //
+  // bulkRequest runs a Bulk operation using the headers and authenticated client of the Bulk request
+  const bulkMiddleware = [interceptors, notifications, router.routes()]
+  const bulkRequest = async (ctx, basePath, operation) => {
+    const req = new http.IncomingMessage(ctx.req.socket)
+    req.method = operation.method
+    req.url = `${basePath}${operation.path}`
+    req.headers = { ...ctx.req.headers }
+    delete req.headers['content-length']
+    delete req.headers['if-none-match']
+    if (operation.version) req.headers['if-match'] = operation.version
+    else delete req.headers['if-match']
+    const res = new http.ServerResponse(req)
+    res.statusCode = 404 // same as Koa, status is 404 until set by middleware
+    const opCtx = app.createContext(req, res)
+    opCtx.request.body = operation.data
+    opCtx.request.ipcli = ctx.request.ipcli
+    if (ctx.ctxCopy) opCtx.ctxCopy = { ...ctx.ctxCopy } // e.g. ifMatch is set per operation
+    const dispatch = (i) => i < bulkMiddleware.length ? Promise.resolve(bulkMiddleware[i](opCtx, () => dispatch(i + 1))) : Promise.resolve()
+    await dispatch(0)
+    logger.debug(`${gwName}[${pluginName}] [Bulk] ${req.method} ${req.url} status=${opCtx.status}`)
+    const status = opCtx.status
+    return {
+      status,
+      location: status < 300 ? opCtx.response.get('Location') || opCtx.origin + opCtx.path : undefined,
+      version: opCtx.response.get('ETag') || undefined,
+      id: opCtx.body ? opCtx.body.id : undefined,
+      response: status >= 400 ? opCtx.body : undefined
+    }
+  }
+
+  router.post(['/(|scim/)Bulk', '/:baseEntity/(|scim/)Bulk'], async (ctx) => {
+    const capabilities = this.getCapabilities()
+    if (!capabilities.bulk) {
+      ctx.status = 501
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, new Error('Bulk is not supported by plugin'))
+      return
+    }
+    return await TelemetryWrapper(api, async () => {
+      requestSpan = verifyTracing(ctx, 'Request')
+
+    const body = ctx.request.body || {}
+    const basePath = ctx.path.slice(0, ctx.path.lastIndexOf('/Bulk'))
+    logger.debug(`${gwName}[${pluginName}] [Bulk] operations=${Array.isArray(body.Operations) ? body.Operations.length : 0}`)
+
+    try {
+      checkBulkRequest(body, capabilities, ctx.request.length || Buffer.byteLength(JSON.stringify(body)), isScimv2)
+      const operations = await runBulk(body, (operation) => bulkRequest(ctx, basePath, operation), (status, err, scimType) => {
+        return jsonErr(config.scim.version, pluginName, status, err, scimType)
+      })
+      ctx.status = 200
+      ctx.body = {
+        schemas: isScimv2 ? [bulkResponseSchema] : ['urn:scim:schemas:core:1.0'],
+        Operations: operations
+      }
+      await fetchNotification(ctx, 'onSuccess', caches, verifyTracing)
+    } catch (err) {
+      const scimType = errorStatus(err, isScimv2, ctx)
+      ctx.body = jsonErr(config.scim.version, pluginName, ctx.status, err, scimType)
+      await fetchNotification(ctx, 'onError', caches, verifyTracing)
+    }
+    endSpan(ctx, span, requestSpan)
+    })
+  })
 
   // ==========================================
   // Starting up...
@@ -1731,11 +2043,11 @@ app.use(cors({ origin: '*', credentials: true }));
     }
   }
 
-  function onSignal () {
+  const onSignal = () => {
     logger.info('server is starting cleanup')
     return Promise.all([
-      // your clean logic, like closing database connections
-    ])
+      typeof this.onSignal === 'function' ? this.onSignal() : null // plugin cleanup e.g. closing database connections
+    ]).catch(err => logger.error(`${gwName}[${pluginName}] cleanup error: ${err.message}`))
   }
 
   function onShutdown () {
@@ -1820,21 +2132,25 @@ app.use(cors({ origin: '*', credentials: true }));
     return null
   } // emailOnError
 
-  const gracefulShutdown = function () {
+  const gracefulShutdown = async function () {
     logger.debug(`${gwName}[${pluginName}] received terminate/kill signal - closing connections and exit`)
     for (let i = logger.transports.length - 1; i >= 0; i--) { // enable info logging
       try { logger.transports[i].level = 'info' } catch (e) { }
     }
     logger.info(`${gwName}[${pluginName}] pheww... ${requestCounter} requests have been processed in the period ${startTime} - ${utils.timestamp()}\n`)
+    const serverClosed = new Promise(resolve => server.close(resolve)) // stop accepting new connections
+    if (!config.kubernetes.enabled) await onSignal() // plugin cleanup, createTerminus calls onSignal when kubernetes is enabled
     logger.close()
-    server.close(function () {
+    if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections() // keep-alive sessions having no request in progress
+    const forceExit = setTimeout(function () { // problem closing server connections in time due to keep-alive sessions (active browser connection?), now forcing exit
+      process.exit(1)
+    }, 2 * 1000)
+    serverClosed.then(function () {
+      clearTimeout(forceExit)
       setTimeout(function () { // plugins may also use SIGTERM/SIGINT
         process.exit(0)
       }, 0.5 * 1000)
     })
-    setTimeout(function () { // problem closing server connections in time due to keep-alive sessions (active browser connection?), now forcing exit
-      process.exit(1)
-    }, 2 * 1000)
   }
 
   process.on('unhandledRejection', (err) => { // older versions of V8, unhandled promise rejections are silently dropped
@@ -1962,8 +2278,11 @@ ScimGateway.prototype.getPassword = (pwEntity, configFile) => {
   return utils.getPassword(pwEntity, configFile) // utils.getPassword('scimgateway.password', './config/plugin-testmode.json');
 }
 
+// formatError prefixes the message with the plugin method, the type of typed errors is kept (see lib/utils/scimError.js)
 ScimGateway.prototype.formatError = (action, err) => {
-  throw  new Error(`${action} error: ${err.message}`);
+  const newErr = new Error(`${action} error: ${err.message}`)
+  if (getErrorType(err)) newErr.name = err.name
+  throw newErr
 }
 
 ScimGateway.prototype.timestamp = () => {
@@ -2149,6 +2468,21 @@ ScimGateway.prototype.endpointMapper = async function endpointMapper (direction,
     }
   }
 
+  // multi-valued complex attributes having map type "complexArray" are kept as array of objects
+  // e.g. "emails": { "mapTo": "emails", "type": "complexArray" } => emails: [{ value, type, primary, display }]
+  const complexArrays = {}
+  if (isObj && ['outbound', 'inbound'].includes(direction)) {
+    for (const mapKey in mapObj) {
+      if (!mapObj[mapKey].type || mapObj[mapKey].type.toLowerCase() !== 'complexarray') continue
+      const [from, to] = direction === 'outbound' ? [mapObj[mapKey].mapTo, mapKey] : [mapKey, mapObj[mapKey].mapTo]
+      if (parseObj[from] === undefined) continue
+      complexArrays[to] = toComplexArray(direction, parseObj[from])
+      for (const key in dotParse) {
+        if (key === from || key.startsWith(`${from}.`) || key.startsWith(`${from}[`)) delete dotParse[key]
+      }
+    }
+  }
+
   switch (direction) {
     case 'outbound':
       for(const mapKey in mapObj){
@@ -2413,6 +2747,8 @@ ScimGateway.prototype.endpointMapper = async function endpointMapper (direction,
                   }
                 }
               }
+            } else if (obj[key] instanceof Date) {
+              obj[key] = obj[key].toISOString() // SCIM dateTime e.g. meta.created
             } else if (obj[key].constructor !== Object) {
               if (obj[key].constructor !== Boolean) obj[key] = obj[key].toString() // might have integer that also should be SCIM integer?
             }
@@ -2422,6 +2758,7 @@ ScimGateway.prototype.endpointMapper = async function endpointMapper (direction,
     }
 
     recursiveStrMap(newObj, null)
+    for (const key in complexArrays) newObj[key] = complexArrays[key]
 
     if (direction === 'inbound' && newObj.constructor === Object) { // convert any multivalue object syntax to array
       //
@@ -2473,6 +2810,28 @@ ScimGateway.prototype.endpointMapper = async function endpointMapper (direction,
 
 module.exports = ScimGateway // plugins can now use ScimGateway
 
+// toComplexArray returns the elements of a multi-valued complex attribute as array (map type "complexArray")
+// outbound value may be an array or a "type converted object" e.g. {"work": {"value": "bjensen@example.com", "type": "work"}}
+// and outbound elements having no values left (cleared or removed) are marked with operation = 'delete'
+const toComplexArray = (direction, value) => {
+  let arr = []
+  if (Array.isArray(value)) arr = value
+  else if (value && typeof value === 'object') arr = Object.values(value)
+  return arr.filter(el => el && typeof el === 'object').map(el => {
+    const o = {}
+    for (const key in el) {
+      if (el[key] !== null && el[key] !== undefined) o[key] = el[key]
+    }
+    if (o.type === 'undefined') delete o.type // "none-type" set by convertedScim
+    if (direction === 'outbound') {
+      if (typeof o.primary === 'string') o.primary = o.primary.toLowerCase() === 'true'
+      const hasValues = Object.keys(o).some(key => !['type', 'primary', 'display', 'operation'].includes(key) && o[key] !== '')
+      if (!hasValues) o.operation = 'delete'
+    }
+    return o
+  })
+}
+
 const addResources = (data, startIndex, sortBy, sortOrder) => {
   if (!data || JSON.stringify(data) === '{}') data = [] // no user/group found
   const res = { Resources: [] }
@@ -2496,6 +2855,48 @@ const addResources = (data, startIndex, sortBy, sortOrder) => {
   return res
 }
 
+// weak ETag derived from resource version e.g. meta.version = 3 => W/"3"
+const getETag = (obj) => {
+  if (!obj || !obj.meta || obj.meta.version === undefined || obj.meta.version === null) return undefined
+  const version = String(obj.meta.version)
+  if (version.startsWith('W/"') || version.startsWith('"')) return version
+  return `W/"${version}"`
+}
+
+// If-Match/If-None-Match header having a list of ETags or "*" compared using weak comparison (RFC 7232 section 2.3.2)
+const etagMatch = (header, etag) => {
+  if (!header || !etag) return false
+  if (header.trim() === '*') return true
+  const opaqueTag = (tag) => tag.trim().replace(/^W\//, '')
+  return header.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag))
+}
+
+// getCurrentObj returns the current object of resource id using the plugin get method
+const getCurrentObj = async (gw, ctx, handle, id) => {
+  const res = await gw[handle.getMethod](ctx.params.baseEntity, { attribute: 'id', operator: 'eq', value: decodeURIComponent(id) }, [], ctx.ctxCopy)
+  if (res && res.Resources && Array.isArray(res.Resources)) return res.Resources[0]
+  else if (Array.isArray(res)) return res[0]
+  return res
+}
+
+// checkIfMatch throws preconditionFailed when If-Match is included and current version of the resource does not match
+// the matched version is passed to the plugin as ctx.ifMatch, letting the plugin update only if still having that version
+const checkIfMatch = async (gw, ctx, handle, id, currentObj) => {
+  if (ctx.ctxCopy) delete ctx.ctxCopy.ifMatch
+  const ifMatch = ctx.get('If-Match')
+  if (!gw.getCapabilities().etag || !ifMatch) return
+  if (!currentObj) currentObj = await getCurrentObj(gw, ctx, handle, id)
+  if (!currentObj || Object.keys(currentObj).length < 1) throw new ScimError('notFound', `${handle.description} ${id} not found`)
+  const etag = getETag(currentObj)
+  if (!etagMatch(ifMatch, etag)) {
+    throw new ScimError('preconditionFailed', `${handle.description} ${id} has been modified - If-Match ${ifMatch} does not match current version ${etag}`)
+  }
+  if (ifMatch.trim() !== '*') {
+    if (!ctx.ctxCopy) ctx.ctxCopy = {}
+    ctx.ctxCopy.ifMatch = etag
+  }
+}
+
 const addSchemas = (data, type, isScimv2, location) => {
   if (!type) {
     if (isScimv2) data.schemas = ['urn:ietf:params:scim:api:messages:2.0:ListResponse']
@@ -2623,6 +3024,8 @@ const notValidAttributes = (obj, validScimAttr) => {
 //
 // convertedScim20 convert SCIM 2.0 patch request to SCIM 1.1 and calls convertedScim() for "type converted Object" and blank deleted values
 //
+// the PATCH route first resolves value filters, paths without path and complex values using resolvePatch() of lib/utils/scimPatch.js
+//
 // Scim 2.0:
 // {"schemas":["urn:ietf:params:scim:api:messages:2.0:PatchOp"],"Operations":[{"op":"Replace","path":"name.givenName","value":"Rocky"},{"op":"Remove","path":"name.formatted","value":"Rocky Balboa"},{"op":"Add","path":"emails","value":[{"value":"user@compay.com","type":"work"}]}]}
 //
@@ -2881,27 +3284,29 @@ const clearObjectValues = (o, parent) => {
 //
 // SCIM error formatting statusCode
 //
+// typed errors (see lib/utils/scimError.js) give status and scimType,
+// other errors are classified by message e.g. "duplicate key" => 409 uniqueness
 const errorStatus = (err, isScimv2, ctx) => {
-  let scimType;
-  if (err.name) {
-    scimType = err.name;
-
-    if (err.name === "uniqueness") ctx.status = 409; // DuplicateKey
-    if (err.name === "notFound") ctx.status = 404; // Not found
-    else {
-      if (isScimv2) ctx.status = 400;
+  const type = getErrorType(err);
+  if (type) {
+    ctx.status = type.status;
+    return type.scimType;
+  }
+  if (!err.name) {
+    ctx.status = 500;
+    return undefined;
+  }
 
-      if (err.message && err.message.toLowerCase().includes("duplicate key")) {
-        ctx.status = 409; // DuplicateKey
-      } else if (
-        err.message &&
-        (err.message.toLowerCase().includes("not found") ||
-          err.message.toLowerCase().includes("not exist"))
-      ) {
-        ctx.status = 404; // Not found
-      } else ctx.status = 400;
-    }
-  } else ctx.status = 500;
+  let scimType;
+  const message = (err.message || "").toLowerCase();
+  if (message.includes("duplicate key")) {
+    ctx.status = 409; // DuplicateKey
+    scimType = "uniqueness";
+  } else if (message.includes("precondition failed")) {
+    ctx.status = 412; // modified by another request
+  } else if (message.includes("not found") || message.includes("not exist")) {
+    ctx.status = 404; // Not found
+  } else ctx.status = 400;
 
   return scimType;
 };
@@ -2914,7 +3319,7 @@ const errorStatus = (err, isScimv2, ctx) => {
 const jsonErr = (scimVersion, pluginName, htmlErrCode, err, scimType) => {
   let errJson = {}
   let msg = `scimgateway[${pluginName}] `
-  err.constructor === Error ? msg += err.message : msg += err
+  err instanceof Error ? msg += err.message : msg += err
 
   if (scimVersion !== '2.0' && scimVersion !== 2) { // v1.1
     errJson =
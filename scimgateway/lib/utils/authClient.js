@@ -0,0 +1,22 @@
+// Authenticated client of a request, passed to plugins as ctx.client e.g. for endpoint.externalId.scope "client"
+//   basic: "basic:<username>", bearerToken: "bearerToken:<index of the token configuration>"
+//   token methods identify the client by claims of the verified token, see getTokenClient
+
+// getTokenClient returns the client of a verified token payload
+//   bearerJwtAzure: tenant id (tid), issuer when not included e.g. "bearerJwtAzure:<tid>"
+//   bearerJwt: issuer and subject e.g. "bearerJwt:https://idp.example.com:<sub>"
+//   bearerOAuth: client_id the token was issued to e.g. "bearerOAuth:<client_id>"
+function getTokenClient(method, payload = {}) {
+  switch (method) {
+    case "bearerJwtAzure":
+      return `${method}:${payload.tid || payload.iss || ""}`;
+    case "bearerJwt":
+      return `${method}:${payload.iss || ""}:${payload.sub || ""}`;
+    case "bearerOAuth":
+      return `${method}:${payload.client_id || ""}`;
+    default:
+      throw new Error(`unsupported token authentication method "${method}"`);
+  }
+}
+
+module.exports = { getTokenClient };
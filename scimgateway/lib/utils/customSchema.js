@@ -0,0 +1,143 @@
+// Custom schema attributes, see "custom schema attributes" in lib/plugin-mongodb-new-connector.js
+//
+// definitions are the attributes of config/schemas/<scim.customSchema> merged into the core schema of a resource type
+// (scimgateway.customSchemaAttributes.User/Group), values are validated against them and stored as one JSON object
+
+const { ScimError } = require("./scimError");
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function findDefinition(definitions, name) {
+  return definitions.find((item) => item.name.toLowerCase() === name.toLowerCase());
+}
+
+// splitCustomAttributes returns [scimObj without custom attributes, validated custom attributes]
+function splitCustomAttributes(scimObj, definitions) {
+  if (definitions.length < 1 || !scimObj) return [scimObj, undefined];
+  const rest = {};
+  let custom;
+  for (const key in scimObj) {
+    const definition = findDefinition(definitions, key);
+    if (!definition) {
+      rest[key] = scimObj[key];
+      continue;
+    }
+    if (!custom) custom = {};
+    custom[definition.name] = isEmptyValue(scimObj[key])
+      ? null // removed
+      : validateCustomValue(definition, scimObj[key], definition.name);
+  }
+  return [rest, custom];
+}
+
+// mergeCustomAttributes returns the stored custom attributes having custom merged
+// complex values are merged on sub-attribute level, null removes the attribute
+function mergeCustomAttributes(stored, custom) {
+  const merged = { ...stored };
+  for (const key in custom) {
+    const value = custom[key];
+    if (value === null) delete merged[key];
+    else if (isPlainObject(value)) {
+      merged[key] = { ...(isPlainObject(merged[key]) ? merged[key] : {}), ...value };
+      for (const sub in value) {
+        if (value[sub] === null) delete merged[key][sub];
+      }
+    } else merged[key] = value;
+  }
+  return merged;
+}
+
+// pickCustomAttributes returns the stored custom attributes defined by the custom schema
+// other keys (e.g. attributes removed from the schema, or core attribute names) are never returned
+function pickCustomAttributes(stored, definitions) {
+  const ret = {};
+  for (const key in stored) {
+    const definition = findDefinition(definitions, key);
+    if (definition) ret[definition.name] = stored[key];
+  }
+  return ret;
+}
+
+function invalidCustomValue(path, definition) {
+  return new ScimError(
+    "invalidValue",
+    `attribute ${path} must be ${definition.multiValued ? "an array of " : ""}${definition.type}`
+  );
+}
+
+// validateCustomValue checks a value against a SCIM attribute definition and returns the value to store
+function validateCustomValue(definition, value, path, element) {
+  if (definition.multiValued && !element) {
+    if (!Array.isArray(value)) throw invalidCustomValue(path, definition);
+    return value.map((item, i) => validateCustomValue(definition, item, `${path}[${i}]`, true));
+  }
+  const type = (definition.type || "string").toLowerCase();
+  switch (type) {
+    case "string":
+    case "reference":
+    case "binary":
+      if (typeof value !== "string") throw invalidCustomValue(path, definition);
+      if (
+        Array.isArray(definition.canonicalValues) &&
+        definition.canonicalValues.length > 0 &&
+        !definition.canonicalValues.some((item) =>
+          definition.caseExact ? item === value : item.toLowerCase() === value.toLowerCase()
+        )
+      ) {
+        throw new ScimError(
+          "invalidValue",
+          `attribute ${path} must be one of: ${definition.canonicalValues.join(", ")}`
+        );
+      }
+      return value;
+    case "boolean":
+      if (typeof value === "string" && ["true", "false"].includes(value.toLowerCase())) {
+        return value.toLowerCase() === "true";
+      }
+      if (typeof value !== "boolean") throw invalidCustomValue(path, definition);
+      return value;
+    case "integer":
+    case "decimal": {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) throw invalidCustomValue(path, definition);
+      if (type === "integer" && !Number.isInteger(num)) throw invalidCustomValue(path, definition);
+      return num;
+    }
+    case "datetime": {
+      const date = typeof value === "string" ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) throw invalidCustomValue(path, definition);
+      return date.toISOString();
+    }
+    case "complex": {
+      if (!isPlainObject(value)) throw invalidCustomValue(path, definition);
+      const subAttributes = definition.subAttributes || [];
+      const ret = {};
+      for (const key in value) {
+        const sub = findDefinition(subAttributes, key);
+        if (!sub) {
+          throw new ScimError("invalidPath", `attribute ${path}.${key} is not defined by the custom schema`);
+        }
+        ret[sub.name] = isEmptyValue(value[key])
+          ? null
+          : validateCustomValue(sub, value[key], `${path}.${sub.name}`);
+      }
+      return ret;
+    }
+    default:
+      return value;
+  }
+}
+
+module.exports = {
+  splitCustomAttributes,
+  mergeCustomAttributes,
+  pickCustomAttributes,
+  validateCustomValue,
+  isPlainObject,
+};
@@ -0,0 +1,10 @@
+// returns the path matched by allowed_requests of interceptors and notifications,
+// the first url segment e.g. "/Users/bjensen?attributes=userName" => "users"
+// searches (POST /.search, /Users/.search) are reads and return null, not matching e.g. { method: "POST", path: "users" }
+function getRequestPath(url) {
+  const segments = (url || "").split("?")[0].split("/");
+  if (segments.includes(".search")) return null;
+  return (segments[1] || "").toLowerCase();
+}
+
+module.exports = { getRequestPath };
@@ -0,0 +1,93 @@
+// Migration of MongoDB data stored by previous versions of the connector, run once on startup and safe to repeat
+//
+// users: the flat fields email, homePhone, postalCode and streetAddress are moved into the composite arrays
+// emails, phoneNumbers and addresses e.g. { email: "a@example.com" } => { emails: [{ type: "work", value: "a@example.com" }] }
+// groups: the members array of user ids is moved into the memberships collection e.g. { members: ["<user id>"] }
+// => memberships { groupId: "<group id>", userId: "<user id>" }, ids of users no longer existing are dropped
+//
+// the legacy fields are no longer part of the Prisma schema, they are read and removed using raw MongoDB commands
+
+// legacy field => composite array field, element type and element attribute
+const legacyContactFields = {
+  email: { field: "emails", type: "work", attr: "value" },
+  homePhone: { field: "phoneNumbers", type: "home", attr: "value" },
+  postalCode: { field: "addresses", type: "work", attr: "postalCode" },
+  streetAddress: { field: "addresses", type: "work", attr: "streetAddress" },
+};
+
+// migrateContactFields returns the $set and $unset of a user document having legacy fields
+// values already stored in the arrays are kept, a legacy value only fills a missing attribute
+function migrateContactFields(doc) {
+  const set = {};
+  const unset = {};
+  for (const [legacy, { field, type, attr }] of Object.entries(legacyContactFields)) {
+    if (!(legacy in doc)) continue;
+    unset[legacy] = "";
+    const value = doc[legacy];
+    if (value === null || value === undefined || value === "") continue;
+    if (!set[field]) set[field] = Array.isArray(doc[field]) ? doc[field].map((el) => ({ ...el })) : [];
+    let element = set[field].find((el) => el.type === type);
+    if (!element) {
+      element = { type };
+      set[field].push(element);
+    }
+    if (element[attr] === undefined || element[attr] === null || element[attr] === "") element[attr] = value;
+  }
+  return { set, unset };
+}
+
+// migrateLegacyUsers migrates the users of collection in batches, returns the number of users migrated
+async function migrateLegacyUsers(prisma, collection, batchSize = 500) {
+  const filter = { $or: Object.keys(legacyContactFields).map((field) => ({ [field]: { $exists: true } })) };
+  const migrated = new Set();
+  for (;;) {
+    const res = await prisma.$runCommandRaw({ find: collection, filter, limit: batchSize });
+    const docs = res.cursor.firstBatch;
+    if (docs.length < 1) return migrated.size;
+    for (const doc of docs) {
+      const id = JSON.stringify(doc._id);
+      if (migrated.has(id)) throw new Error(`${collection} ${id} still has legacy fields after migration`);
+      migrated.add(id);
+      const { set, unset } = migrateContactFields(doc);
+      const update = Object.keys(set).length > 0 ? { $set: set, $unset: unset } : { $unset: unset };
+      await prisma.$runCommandRaw({ update: collection, updates: [{ q: { _id: doc._id }, u: update }] });
+    }
+  }
+}
+
+// migrateLegacyGroupMembers migrates the groups having a members array in batches, returns the number of groups migrated
+// models = { groups, users, memberships } are the Prisma model names, the collection of groups having the same name
+async function migrateLegacyGroupMembers(prisma, models, batchSize = 500) {
+  const filter = { members: { $exists: true } };
+  const migrated = new Set();
+  for (;;) {
+    const res = await prisma.$runCommandRaw({ find: models.groups, filter, limit: batchSize });
+    const docs = res.cursor.firstBatch;
+    if (docs.length < 1) return migrated.size;
+    for (const doc of docs) {
+      const groupId = doc._id.$oid;
+      if (migrated.has(groupId)) throw new Error(`${models.groups} ${groupId} still has members after migration`);
+      migrated.add(groupId);
+      const ids = (Array.isArray(doc.members) ? doc.members : []).filter(
+        (id) => typeof id === "string" && /^[0-9a-f]{24}$/i.test(id)
+      );
+      const users = ids.length > 0
+        ? await prisma[models.users].findMany({ where: { id: { in: ids } }, select: { id: true } })
+        : [];
+      const existing = await prisma[models.memberships].findMany({
+        where: { groupId, userId: { in: users.map((user) => user.id) } },
+        select: { userId: true },
+      });
+      for (const user of users) {
+        if (existing.some((item) => item.userId === user.id)) continue;
+        await prisma[models.memberships].create({ data: { groupId, userId: user.id } });
+      }
+      await prisma.$runCommandRaw({
+        update: models.groups,
+        updates: [{ q: { _id: doc._id }, u: { $unset: { members: "" } } }],
+      });
+    }
+  }
+}
+
+module.exports = { legacyContactFields, migrateContactFields, migrateLegacyUsers, migrateLegacyGroupMembers };
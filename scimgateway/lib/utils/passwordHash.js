@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+// Password hashing using scrypt (built-in), argon2 or bcrypt (optional packages "argon2" and "bcryptjs")
+// All algorithms use a random per-password salt that is stored as part of the hash:
+//   scrypt: $scrypt$N=16384,r=8,p=1$<salt base64>$<hash base64>
+//   argon2: $argon2id$v=19$m=65536,t=3,p=1$<salt>$<hash>
+//   bcrypt: $2a$12$<salt+hash>
+
+const defaults = {
+  algorithm: "scrypt",
+  saltLength: 16,
+  scrypt: { N: 16384, r: 8, p: 1, keyLength: 64 },
+  argon2: { memoryCost: 65536, timeCost: 3, parallelism: 1 },
+  bcrypt: { rounds: 12 },
+};
+
+function loadOptional(name, algorithm) {
+  try {
+    return require(name);
+  } catch (err) {
+    throw new Error(
+      `password hashing algorithm "${algorithm}" requires package "${name}" to be installed`
+    );
+  }
+}
+
+function scrypt(password, salt, keyLength, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      keyLength,
+      { ...options, maxmem: 256 * options.N * options.r },
+      (err, derivedKey) => (err ? reject(err) : resolve(derivedKey))
+    );
+  });
+}
+
+// isPasswordHash returns true if value is a hash created by hashPassword
+function isPasswordHash(value) {
+  return typeof value === "string" && /^\$(scrypt|argon2(id|i|d)|2[aby])\$/.test(value);
+}
+
+async function hashPassword(password, options = {}) {
+  const algorithm = (options.algorithm || defaults.algorithm).toLowerCase();
+  const saltLength = options.saltLength || defaults.saltLength;
+
+  switch (algorithm) {
+    case "scrypt": {
+      const { N, r, p, keyLength } = { ...defaults.scrypt, ...options.scrypt };
+      const salt = crypto.randomBytes(saltLength);
+      const hash = await scrypt(password, salt, keyLength, { N, r, p });
+      return `$scrypt$N=${N},r=${r},p=${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+    }
+    case "argon2": {
+      const argon2 = loadOptional("argon2", algorithm);
+      return argon2.hash(password, {
+        type: argon2.argon2id,
+        saltLength,
+        ...defaults.argon2,
+        ...options.argon2,
+      });
+    }
+    case "bcrypt": {
+      const bcrypt = loadOptional("bcryptjs", algorithm);
+      const { rounds } = { ...defaults.bcrypt, ...options.bcrypt };
+      return bcrypt.hash(password, rounds);
+    }
+    default:
+      throw new Error(`unsupported password hashing algorithm "${options.algorithm}"`);
+  }
+}
+
+// verifyPassword compares password with a hash created by hashPassword
+// a stored value that is not a hash (legacy cleartext) is compared in constant time
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string" || !stored) return false;
+
+  if (stored.startsWith("$scrypt$")) {
+    const [, , params, salt, hash] = stored.split("$");
+    const options = {};
+    for (const param of params.split(",")) {
+      const [key, value] = param.split("=");
+      options[key] = parseInt(value);
+    }
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, options);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+  if (stored.startsWith("$argon2")) {
+    return loadOptional("argon2", "argon2").verify(stored, password);
+  }
+  if (/^\$2[aby]\$/.test(stored)) {
+    return loadOptional("bcryptjs", "bcrypt").compare(password, stored);
+  }
+
+  const a = crypto.createHash("sha256").update(password).digest();
+  const b = crypto.createHash("sha256").update(stored).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { hashPassword, verifyPassword, isPasswordHash };
@@ -0,0 +1,71 @@
+// Prisma client lifecycle helpers, see "Prisma client lifecycle" in lib/plugin-mongodb-new-connector.js
+//
+// pool settings e.g. { "connectionLimit": 10, "poolTimeout": 10, "connectTimeout": 5 } (timeouts in seconds)
+// are added to the connection string, in-flight queries are counted so that shutdown can drain them
+
+const fs = require("fs");
+const path = require("path");
+
+// getDatasourceUrl adds pool settings to the connection string unless already included
+function getDatasourceUrl(url, pool = {}) {
+  if (!url) return url;
+  const isMongo = url.startsWith("mongodb");
+  const params = isMongo
+    ? {
+        maxPoolSize: pool.connectionLimit,
+        connectTimeoutMS: pool.connectTimeout && pool.connectTimeout * 1000,
+      }
+    : {
+        connection_limit: pool.connectionLimit,
+        pool_timeout: pool.poolTimeout,
+        connect_timeout: pool.connectTimeout,
+      };
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined && !new RegExp(`[?&]${key}=`).test(url))
+    .map((key) => `${key}=${encodeURIComponent(params[key])}`)
+    .join("&");
+  if (!query) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+}
+
+// trackInFlight counts the queries in progress using Prisma middleware, returns a function giving the count
+function trackInFlight(prisma) {
+  let inFlight = 0;
+  prisma.$use(async (params, next) => {
+    inFlight++;
+    try {
+      return await next(params);
+    } finally {
+      inFlight--;
+    }
+  });
+  return () => inFlight;
+}
+
+// drainInFlight waits until no queries are in progress or timeout (ms), returns the count still in progress
+async function drainInFlight(inFlight, timeout, interval = 50) {
+  const end = Date.now() + timeout;
+  while (inFlight() > 0 && Date.now() < end) {
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  return inFlight();
+}
+
+// getGeneratedProvider returns the datasource provider of the schema the Prisma client was generated from,
+// "prisma generate" copies the schema into the client directory (default node_modules/.prisma/client), undefined if not found
+function getGeneratedProvider(clientDir) {
+  let file;
+  try {
+    file = path.join(
+      clientDir || path.join(path.dirname(require.resolve("@prisma/client/package.json")), "..", "..", ".prisma", "client"),
+      "schema.prisma"
+    );
+  } catch (err) {
+    return undefined; // @prisma/client not installed
+  }
+  if (!fs.existsSync(file)) return undefined;
+  const match = fs.readFileSync(file, "utf8").match(/^\s*datasource\s+\w+\s*\{[^}]*?\bprovider\s*=\s*"(\w+)"/m);
+  return match ? match[1] : undefined;
+}
+
+module.exports = { getDatasourceUrl, trackInFlight, drainInFlight, getGeneratedProvider };
@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+
+// Prisma schema generator for plugin-mongodb-new-connector
+// builds the users/groups/memberships models from endpoint.map using the map "type" and mapTo:
+//   id => @id, userName => @unique, meta.created/lastModified/version => defaults,
+//   complexArray => composite type (mongodb) or child table (relational providers),
+//   externalId => unique together with the externalId scope field (mongodb: @@index, the connector creates a partial unique index)
+//
+// node lib/utils/prismaSchema.js [--check] [--provider <provider>] [--config <file>] [--schema <file>]
+//   default: creates or updates the schema of endpoint.connection.provider, fields not in the map are kept
+//   --check: reports mismatches between the map and the existing schema, exit code 1 on mismatch
+
+const providers = ["mongodb", "postgresql", "mysql", "sqlite"];
+const enterpriseManager = "urn:ietf:params:scim:schemas:extension:enterprise:2.0:user.manager.value";
+
+const complexSubAttributes = {
+  addresses: [
+    "formatted",
+    "streetAddress",
+    "locality",
+    "region",
+    "postalCode",
+    "country",
+    "type",
+    "primary",
+  ],
+  default: ["value", "type", "primary", "display"],
+};
+
+function schemaPath(provider) {
+  return provider === "mongodb" ? "prisma/schema.prisma" : `prisma/${provider}/schema.prisma`;
+}
+
+// complexTypeName gives the composite type or child model name e.g. emails => Email, addresses => Address
+function complexTypeName(field) {
+  const name = field.endsWith("sses")
+    ? field.slice(0, -2)
+    : field.endsWith("s")
+      ? field.slice(0, -1)
+      : field;
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function getNames(endpoint) {
+  const connection = endpoint.connection || {};
+  return {
+    users: connection.userCollectionName || "users",
+    groups: connection.groupCollectionName || "groups",
+    memberships: connection.membershipCollectionName || "memberships",
+    custom: (endpoint.customSchema && endpoint.customSchema.field) || "custom",
+    externalIdScope: (endpoint.externalId && endpoint.externalId.scopeField) || "externalIdScope",
+  };
+}
+
+function idField(provider) {
+  return provider === "mongodb"
+    ? { name: "id", type: "String", attributes: '@id @default(auto()) @map("_id") @db.ObjectId' }
+    : { name: "id", type: "String", attributes: "@id @default(uuid())" };
+}
+
+function foreignKey(provider, name, optional) {
+  return {
+    name,
+    type: optional ? "String?" : "String",
+    attributes: provider === "mongodb" ? "@db.ObjectId" : "",
+  };
+}
+
+// mapField returns the Prisma fields of one map entry
+function mapField(provider, field, def, names) {
+  const mapTo = (def.mapTo || "").split(",").map((item) => item.trim().toLowerCase());
+  const type = (def.type || "string").toLowerCase();
+
+  if (mapTo.includes("id")) return field === "id" ? [idField(provider)] : []; // e.g. "_id" alias of id
+  if (mapTo.includes("username")) return [{ name: field, type: "String", attributes: "@unique" }];
+  if (mapTo.includes("active")) return [{ name: field, type: "Boolean", attributes: "@default(false)" }];
+  if (mapTo.includes(enterpriseManager)) {
+    // self-relation requires NoAction, the connector clears managerId of reports on delete
+    return [
+      foreignKey(provider, field, true),
+      {
+        name: "manager",
+        type: `${names.users}?`,
+        attributes: `@relation("manager", fields: [${field}], references: [id], onDelete: NoAction, onUpdate: NoAction)`,
+      },
+      { name: "reports", type: `${names.users}[]`, attributes: '@relation("manager")' },
+    ];
+  }
+
+  switch (type) {
+    case "string":
+      return [{ name: field, type: "String?" }];
+    case "boolean":
+      return [{ name: field, type: "Boolean?" }];
+    case "datetime":
+      if (mapTo.includes("meta.created")) return [{ name: field, type: "DateTime?", attributes: "@default(now())" }];
+      if (mapTo.includes("meta.lastmodified")) return [{ name: field, type: "DateTime?", attributes: "@updatedAt" }];
+      return [{ name: field, type: "DateTime?" }];
+    case "number":
+      if (mapTo.includes("meta.version")) return [{ name: field, type: "Int?", attributes: "@default(1)" }];
+      return [{ name: field, type: "Float?" }];
+    case "integer":
+      return [{ name: field, type: "Int?" }];
+    case "decimal":
+      return [{ name: field, type: "Float?" }];
+    case "json":
+      return [{ name: field, type: provider === "sqlite" ? "String?" : "Json?" }];
+    case "array":
+      if (provider === "sqlite") {
+        throw new Error(`map field ${field} type "array" is not supported by sqlite, use type "json"`);
+      }
+      return [{ name: field, type: "String[]" }];
+    case "complexarray":
+      return [{ name: field, type: `${complexTypeName(field)}[]` }];
+    default:
+      throw new Error(`map field ${field} has unsupported type "${def.type}"`);
+  }
+}
+
+function complexBlock(provider, field, names) {
+  const subAttributes = complexSubAttributes[field] || complexSubAttributes.default;
+  const fields = subAttributes.map((name) => ({
+    name,
+    type: name === "primary" ? "Boolean?" : "String?",
+  }));
+  if (provider === "mongodb") {
+    return { kind: "type", name: complexTypeName(field), fields, blockAttributes: [] };
+  }
+  return {
+    kind: "model",
+    name: complexTypeName(field),
+    fields: [
+      idField(provider),
+      foreignKey(provider, "userId"),
+      {
+        name: "user",
+        type: names.users,
+        attributes: "@relation(fields: [userId], references: [id], onDelete: Cascade)",
+      },
+      ...fields,
+    ],
+    blockAttributes: ["@@index([userId])"],
+  };
+}
+
+function membershipBlock(provider, names) {
+  // mongodb has no referential actions on multiple paths, the connector removes memberships itself
+  const action = provider === "mongodb" ? "onDelete: NoAction, onUpdate: NoAction" : "onDelete: Cascade";
+  return {
+    kind: "model",
+    name: names.memberships,
+    comment: "// group members, either a user or a group (nested group)",
+    fields: [
+      idField(provider),
+      foreignKey(provider, "groupId"),
+      {
+        name: "group",
+        type: names.groups,
+        attributes: `@relation("members", fields: [groupId], references: [id], ${action})`,
+      },
+      foreignKey(provider, "userId", true),
+      {
+        name: "user",
+        type: `${names.users}?`,
+        attributes: `@relation(fields: [userId], references: [id], ${action})`,
+      },
+      foreignKey(provider, "memberGroupId", true),
+      {
+        name: "memberGroup",
+        type: `${names.groups}?`,
+        attributes: `@relation("memberGroups", fields: [memberGroupId], references: [id], ${action})`,
+      },
+    ],
+    // mongodb unique indexes would conflict on the missing userId/memberGroupId
+    blockAttributes:
+      provider === "mongodb"
+        ? ["@@index([groupId])", "@@index([userId])", "@@index([memberGroupId])"]
+        : [
+            "@@unique([groupId, userId])",
+            "@@unique([groupId, memberGroupId])",
+            "@@index([userId])",
+            "@@index([memberGroupId])",
+          ],
+  };
+}
+
+// buildBlocks returns the generator, datasource, model and type blocks for the plugin endpoint configuration
+function buildBlocks(endpoint, provider) {
+  if (!providers.includes(provider)) {
+    throw new Error(`unsupported provider "${provider}", must be one of: ${providers.join(", ")}`);
+  }
+  const names = getNames(endpoint);
+  const map = endpoint.map || {};
+  const blocks = [
+    { kind: "generator", name: "client", raw: 'generator client {\n  provider = "prisma-client-js"\n}' },
+    {
+      kind: "datasource",
+      name: "db",
+      raw: `datasource db {\n  provider = "${provider}"\n  url      = env("DATABASE_URL")\n}`,
+    },
+  ];
+  const jsonType = provider === "sqlite" ? "String?" : "Json?";
+
+  const resources = [
+    ["user", names.users, [{ name: "memberOf", type: `${names.memberships}[]` }]],
+    [
+      "group",
+      names.groups,
+      [
+        { name: "members", type: `${names.memberships}[]`, attributes: '@relation("members")' },
+        { name: "memberOf", type: `${names.memberships}[]`, attributes: '@relation("memberGroups")' },
+      ],
+    ],
+  ];
+  const complexBlocks = [];
+  for (const [resource, name, relations] of resources) {
+    const fields = [];
+    const resourceMap = map[resource] || {};
+    if (!Object.keys(resourceMap).some((field) => field === "id")) fields.push(idField(provider));
+    for (const field in resourceMap) {
+      fields.push(...mapField(provider, field, resourceMap[field], names));
+      if ((resourceMap[field].type || "").toLowerCase() === "complexarray") {
+        if (resource !== "user") throw new Error(`map.${resource}.${field} type "complexArray" is only supported for users`);
+        complexBlocks.push(complexBlock(provider, field, names));
+      }
+    }
+    if (!fields.some((item) => item.name === names.custom)) fields.push({ name: names.custom, type: jsonType });
+    const blockAttributes = [];
+    const externalId = Object.keys(resourceMap).find((field) => resourceMap[field].mapTo === "externalId");
+    if (externalId) {
+      fields.push({ name: names.externalIdScope, type: "String", attributes: '@default("")' });
+      // mongodb unique indexes would conflict on the missing externalId, see createExternalIdIndexes of the connector
+      blockAttributes.push(
+        `${provider === "mongodb" ? "@@index" : "@@unique"}([${names.externalIdScope}, ${externalId}])`
+      );
+    }
+    fields.push(...relations);
+    blocks.push({ kind: "model", name, fields, blockAttributes });
+  }
+  blocks.push(...complexBlocks, membershipBlock(provider, names));
+  return blocks;
+}
+
+function renderBlock(block) {
+  if (block.raw) return block.raw;
+  const width = Math.max(...block.fields.map((field) => field.name.length));
+  const typeWidth = Math.max(...block.fields.map((field) => field.type.length));
+  const lines = block.fields.map((field) =>
+    `  ${field.name.padEnd(width)} ${field.attributes ? `${field.type.padEnd(typeWidth)} ${field.attributes}` : field.type}`.trimEnd()
+  );
+  if (block.blockAttributes.length > 0) lines.push("", ...block.blockAttributes.map((item) => `  ${item}`));
+  return `${block.comment ? `${block.comment}\n` : ""}${block.kind} ${block.name} {\n${lines.join("\n")}\n}`;
+}
+
+// blockAttributeKey identifies the block attributes replaced by a generated one
+// @@map by name, @@id, @@unique and @@index by their fields e.g. "@@index([userId])" => "[userId]"
+function blockAttributeKey(attribute) {
+  const fields = attribute.match(/^@@(?:id|unique|index)\(\s*(?:fields:\s*)?\[([^\]]*)\]/);
+  if (fields) return `[${fields[1].split(",").map((item) => item.trim()).join(", ")}]`;
+  return attribute.replace(/\(.*$/, "");
+}
+
+// parseSchema splits a Prisma schema into blocks, fields and block attributes of model and type blocks are parsed
+function parseSchema(text) {
+  const blocks = [];
+  const re = /^[ \t]*(model|type|generator|datasource|enum|view)[ \t]+(\w+)[ \t]*\{([\s\S]*?)^[ \t]*\}/gm;
+  let match;
+  while ((match = re.exec(text))) {
+    const block = { kind: match[1], name: match[2], raw: match[0].trim(), start: match.index, end: re.lastIndex };
+    if (["model", "type"].includes(block.kind)) {
+      block.fields = [];
+      block.blockAttributes = [];
+      for (const line of match[3].split("\n")) {
+        const item = line.replace(/\/\/.*$/, "").trim();
+        if (!item) continue;
+        if (item.startsWith("@@")) {
+          block.blockAttributes.push(item);
+          continue;
+        }
+        const [name, type, ...attributes] = item.split(/\s+/);
+        block.fields.push({ name, type, attributes: attributes.join(" "), raw: line.trim() });
+      }
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+// generatePrismaSchema returns a new schema for the plugin endpoint configuration
+function generatePrismaSchema(endpoint, provider) {
+  const header = [
+    "// generated from the endpoint.map of config/plugin-mongodb-new-connector.json",
+    `// node lib/utils/prismaSchema.js --provider ${provider}`,
+  ].join("\n");
+  return `${header}\n\n${buildBlocks(endpoint, provider).map(renderBlock).join("\n\n")}\n`;
+}
+
+// updatePrismaSchema replaces the generated models of an existing schema
+// fields, block attributes and blocks not generated from the map are kept, avoiding data loss on "prisma db push"
+// a kept @@index/@@unique/@@id on the fields of a generated one or a kept @@map having a generated one is replaced
+function updatePrismaSchema(text, endpoint, provider) {
+  const existing = parseSchema(text);
+  let out = text;
+  const appended = [];
+  for (const block of buildBlocks(endpoint, provider)) {
+    const current = existing.find((item) => item.kind === block.kind && item.name === block.name);
+    if (!current) {
+      appended.push(renderBlock(block));
+      continue;
+    }
+    if (block.raw) continue; // keep generator and datasource settings
+    const kept = current.fields.filter(
+      (field) => !block.fields.some((item) => item.name === field.name)
+    );
+    const keys = block.blockAttributes.map(blockAttributeKey);
+    const keptAttributes = current.blockAttributes.filter((item) => !keys.includes(blockAttributeKey(item)));
+    const merged = {
+      ...block,
+      comment: undefined,
+      fields: [...block.fields, ...kept],
+      blockAttributes: [...block.blockAttributes, ...keptAttributes],
+    };
+    out = out.replace(current.raw, renderBlock(merged));
+  }
+  if (appended.length > 0) out = `${out.trimEnd()}\n\n${appended.join("\n\n")}\n`;
+  return out;
+}
+
+// checkPrismaSchema returns mismatches between the map and an existing schema, empty array if none
+function checkPrismaSchema(text, endpoint, provider) {
+  const mismatches = [];
+  const existing = parseSchema(text);
+  const datasource = existing.find((item) => item.kind === "datasource");
+  if (datasource && !new RegExp(`provider\\s*=\\s*"${provider}"`).test(datasource.raw)) {
+    mismatches.push(`datasource provider does not match "${provider}"`);
+  }
+  const normalize = (attributes) => (attributes || "").replace(/\s+/g, " ").trim();
+  for (const block of buildBlocks(endpoint, provider)) {
+    if (block.raw) continue;
+    const current = existing.find((item) => item.kind === block.kind && item.name === block.name);
+    if (!current) {
+      mismatches.push(`${block.kind} ${block.name} is missing`);
+      continue;
+    }
+    for (const field of block.fields) {
+      const found = current.fields.find((item) => item.name === field.name);
+      if (!found) {
+        mismatches.push(`${block.name}.${field.name} is missing, map expects ${field.type}`);
+      } else if (found.type !== field.type) {
+        mismatches.push(`${block.name}.${field.name} is ${found.type}, map expects ${field.type}`);
+      } else if (field.attributes && field.attributes.includes("@unique") && !found.attributes.includes("@unique")) {
+        mismatches.push(`${block.name}.${field.name} is missing @unique`);
+      } else if (field.attributes && field.attributes.includes("@id") && normalize(found.attributes) !== normalize(field.attributes)) {
+        mismatches.push(`${block.name}.${field.name} has "${found.attributes}", map expects "${field.attributes}"`);
+      }
+    }
+    for (const attribute of block.blockAttributes) {
+      if (!current.blockAttributes.some((item) => item.replace(/\s+/g, "") === attribute.replace(/\s+/g, ""))) {
+        mismatches.push(`${block.name} is missing ${attribute}`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+module.exports = {
+  generatePrismaSchema,
+  updatePrismaSchema,
+  checkPrismaSchema,
+  schemaPath,
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const baseDir = path.join(__dirname, "..", "..");
+  const configFile = path.resolve(
+    baseDir,
+    option("--config") || "config/plugin-mongodb-new-connector.json"
+  );
+  const endpoint = JSON.parse(fs.readFileSync(configFile, "utf8")).endpoint;
+  const provider = (
+    option("--provider") ||
+    (endpoint.connection && endpoint.connection.provider) ||
+    "mongodb"
+  ).toLowerCase();
+  const file = path.resolve(baseDir, option("--schema") || schemaPath(provider));
+  const exists = fs.existsSync(file);
+
+  try {
+    if (args.includes("--check")) {
+      if (!exists) throw new Error(`${file} does not exist`);
+      const mismatches = checkPrismaSchema(fs.readFileSync(file, "utf8"), endpoint, provider);
+      for (const mismatch of mismatches) console.log(`${path.relative(baseDir, file)}: ${mismatch}`);
+      process.exitCode = mismatches.length > 0 ? 1 : 0;
+    } else {
+      const text = exists
+        ? updatePrismaSchema(fs.readFileSync(file, "utf8"), endpoint, provider)
+        : generatePrismaSchema(endpoint, provider);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, text);
+      console.log(`${exists ? "updated" : "created"} ${path.relative(baseDir, file)}`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,147 @@
+// SCIM 2.0 Bulk operations according to RFC 7644 section 3.7
+//
+// runBulk(body, execute, errorResponse) runs the operations of a BulkRequest one by one and returns the BulkResponse operations:
+// - "bulkId:<bulkId>" in path or data of an operation is replaced by the id of the resource created by the POST
+//   operation having that bulkId e.g. { "method": "POST", "path": "/Groups", "data": { "members": [{ "value": "bulkId:qwerty" }] } }
+// - operations referencing the bulkId of a POST operation not yet run are deferred until it has run, a bulkId that can
+//   not be resolved (unknown, failed or circular reference) gives status 409 scimType "invalidValue"
+// - processing stops when the number of failed operations reaches failOnErrors
+// - results are returned in the order of the request operations, operations not run (failOnErrors) are not included
+//
+// execute(operation) runs one operation having bulkIds resolved and returns { status, location, version, id, response }
+// errorResponse(status, err, scimType) returns the SCIM error of an operation failing before execute
+
+const { ScimError, getErrorType } = require("./scimError");
+
+const bulkRequestSchema = "urn:ietf:params:scim:api:messages:2.0:BulkRequest";
+const bulkResponseSchema = "urn:ietf:params:scim:api:messages:2.0:BulkResponse";
+const bulkIdPrefix = "bulkId:";
+const methods = ["POST", "PUT", "PATCH", "DELETE"];
+
+// checkBulkRequest throws an error when body is not a BulkRequest or exceeds limits { maxOperations, maxPayloadSize }
+function checkBulkRequest(body, limits, payloadSize, isScimv2) {
+  if (isScimv2 && (!Array.isArray(body.schemas) || !body.schemas.includes(bulkRequestSchema))) {
+    throw new ScimError("invalidSyntax", `bulk request must have schemas ${bulkRequestSchema}`);
+  }
+  if (!Array.isArray(body.Operations) || body.Operations.length < 1) {
+    throw new ScimError("invalidSyntax", "bulk request must have Operations");
+  }
+  if (body.failOnErrors !== undefined && !(Number.isInteger(body.failOnErrors) && body.failOnErrors > 0)) {
+    throw new ScimError("invalidSyntax", "bulk request failOnErrors must be a positive integer");
+  }
+  if (body.Operations.length > limits.maxOperations) {
+    throw new ScimError("payloadTooLarge", `The number of operations exceeds the maxOperations (${limits.maxOperations})`);
+  }
+  if (payloadSize > limits.maxPayloadSize) {
+    throw new ScimError("payloadTooLarge", `The size of the bulk operation exceeds the maxPayloadSize (${limits.maxPayloadSize})`);
+  }
+  const bulkIds = body.Operations.filter((op) => op && op.bulkId !== undefined).map((op) => op.bulkId);
+  const duplicate = bulkIds.find((bulkId, i) => bulkIds.indexOf(bulkId) !== i);
+  if (duplicate !== undefined) throw new ScimError("invalidValue", `bulk request has duplicate bulkId ${duplicate}`);
+}
+
+// checkOperation returns the method of an operation, throws an error when method, path, bulkId or data is not valid
+function checkOperation(op) {
+  if (!op || typeof op !== "object") throw new ScimError("invalidSyntax", "bulk operation must be an object");
+  const method = typeof op.method === "string" ? op.method.toUpperCase() : op.method;
+  if (!methods.includes(method)) throw new ScimError("invalidSyntax", `bulk operation method ${op.method} is not supported`);
+  const match = typeof op.path === "string" ? op.path.match(/^\/(Users|Groups)(?:\/([^/?]+))?$/) : null;
+  if (!match || (method === "POST") !== (match[2] === undefined)) {
+    throw new ScimError("invalidPath", `bulk operation path ${op.path} is not valid for method ${method}`);
+  }
+  if (method === "POST" && (typeof op.bulkId !== "string" || op.bulkId.length < 1)) {
+    throw new ScimError("invalidSyntax", "bulk POST operation requires bulkId");
+  }
+  if (method !== "DELETE" && (op.data === null || typeof op.data !== "object" || Array.isArray(op.data))) {
+    throw new ScimError("invalidSyntax", `bulk ${method} operation requires data`);
+  }
+  return method;
+}
+
+// getReferences returns the bulkIds referenced by path and data of an operation
+function getReferences(op, refs = new Set()) {
+  const add = (value) => {
+    if (typeof value === "string") {
+      if (value.startsWith(bulkIdPrefix)) refs.add(value.substring(bulkIdPrefix.length));
+    } else if (Array.isArray(value)) value.forEach(add);
+    else if (value !== null && typeof value === "object") Object.values(value).forEach(add);
+  };
+  if (op && typeof op === "object") {
+    if (typeof op.path === "string") op.path.split("/").forEach(add);
+    add(op.data);
+  }
+  return [...refs];
+}
+
+// setReferences returns value having "bulkId:<bulkId>" replaced by ids[bulkId]
+function setReferences(value, ids) {
+  if (typeof value === "string") {
+    return value.startsWith(bulkIdPrefix) ? ids[value.substring(bulkIdPrefix.length)] : value;
+  }
+  if (Array.isArray(value)) return value.map((item) => setReferences(item, ids));
+  if (value !== null && typeof value === "object") {
+    const obj = {};
+    for (const key in value) obj[key] = setReferences(value[key], ids);
+    return obj;
+  }
+  return value;
+}
+
+async function runBulk(body, execute, errorResponse) {
+  const operations = body.Operations;
+  const references = operations.map((op) => getReferences(op));
+  const posted = {}; // bulkId => index of POST operation
+  operations.forEach((op, i) => {
+    if (op && typeof op.method === "string" && op.method.toUpperCase() === "POST" && typeof op.bulkId === "string") {
+      posted[op.bulkId] = i;
+    }
+  });
+  const pending = new Set(operations.keys());
+  const ids = {}; // bulkId => id of created resource
+  const results = []; // by index of the request operation
+  let errors = 0;
+
+  while (pending.size > 0 && !(body.failOnErrors && errors >= body.failOnErrors)) {
+    // next operation not waiting for a pending POST operation, first pending when references are circular
+    const waiting = (i) => references[i].some((bulkId) => posted[bulkId] !== i && pending.has(posted[bulkId]));
+    const index = [...pending].find((i) => !waiting(i)) ?? pending.values().next().value;
+    pending.delete(index);
+
+    const op = operations[index];
+    const result = {
+      method: op && typeof op.method === "string" ? op.method.toUpperCase() : op && op.method,
+      ...(op && op.bulkId !== undefined && { bulkId: op.bulkId }),
+    };
+    try {
+      checkOperation(op);
+      const unresolved = references[index].find((bulkId) => ids[bulkId] === undefined);
+      if (unresolved !== undefined) {
+        const err = new ScimError("invalidValue", `bulkId ${unresolved} does not reference a created resource`);
+        Object.assign(result, { status: "409", response: errorResponse(409, err, "invalidValue") });
+      } else {
+        const res = await execute({
+          method: result.method,
+          bulkId: op.bulkId,
+          version: op.version,
+          path: op.path.split("/").map((segment) => setReferences(segment, ids)).join("/"),
+          data: setReferences(op.data, ids),
+        });
+        if (result.method === "POST" && res.status < 300 && res.id !== undefined) ids[op.bulkId] = res.id;
+        Object.assign(result, {
+          ...(res.location && { location: res.location }),
+          ...(res.version && { version: res.version }),
+          status: String(res.status),
+          ...(res.response !== undefined && { response: res.response }),
+        });
+      }
+    } catch (err) {
+      const type = getErrorType(err) || { status: 500 };
+      Object.assign(result, { status: String(type.status), response: errorResponse(type.status, err, type.scimType) });
+    }
+    if (parseInt(result.status) >= 400) errors += 1;
+    results[index] = result;
+  }
+  return results.filter((result) => result !== undefined);
+}
+
+module.exports = { bulkResponseSchema, checkBulkRequest, runBulk };
@@ -0,0 +1,44 @@
+// SCIM error types according to RFC 7644 section 3.12
+//
+// plugins throw e.g. new ScimError("uniqueness", `userName ${userName} already exists`) and the gateway responds with
+// { schemas: ["urn:ietf:params:scim:api:messages:2.0:Error"], scimType: "uniqueness", detail: <message>, status: 409 }
+// notFound, preconditionFailed and payloadTooLarge are not SCIM error types, they set the status only
+
+const scimErrorTypes = {
+  invalidFilter: { status: 400, scimType: true },
+  tooMany: { status: 400, scimType: true },
+  uniqueness: { status: 409, scimType: true },
+  mutability: { status: 400, scimType: true },
+  invalidSyntax: { status: 400, scimType: true },
+  invalidPath: { status: 400, scimType: true },
+  noTarget: { status: 400, scimType: true },
+  invalidValue: { status: 400, scimType: true },
+  invalidVers: { status: 400, scimType: true },
+  sensitive: { status: 403, scimType: true },
+  notFound: { status: 404, scimType: false },
+  preconditionFailed: { status: 412, scimType: false },
+  payloadTooLarge: { status: 413, scimType: false },
+};
+
+// ScimError has name set to the error type, errors having name set by older code e.g. err.name = "invalidFilter" are handled the same way
+class ScimError extends Error {
+  constructor(type, message) {
+    if (!scimErrorTypes[type]) throw new Error(`unsupported SCIM error type "${type}"`);
+    super(message);
+    this.name = type;
+  }
+}
+
+// getErrorType returns { status, scimType } of an error having name set to a known type, otherwise undefined
+function getErrorType(err) {
+  const type = err && scimErrorTypes[err.name];
+  if (!type) return undefined;
+  return { status: type.status, scimType: type.scimType ? err.name : undefined };
+}
+
+// invalidFilter returns the error of a filter not supported or not valid e.g. invalidFilter(`Invalid filter: ...`)
+function invalidFilter(message) {
+  return new ScimError("invalidFilter", message);
+}
+
+module.exports = { ScimError, getErrorType, invalidFilter, scimErrorTypes };
@@ -0,0 +1,211 @@
+// SCIM filter parsing according to RFC 7644 section 3.4.2.2
+//
+// parseScimFilter('userName sw "J" and (emails[type eq "work"] or not (active eq false))') returns:
+// { type: "logical", op: "and", filters: [
+//   { type: "compare", attrPath: "userName", op: "sw", value: "J" },
+//   { type: "logical", op: "or", filters: [
+//     { type: "valuePath", attrPath: "emails", filter: { type: "compare", attrPath: "type", op: "eq", value: "work" } },
+//     { type: "not", filter: { type: "compare", attrPath: "active", op: "eq", value: false } } ] } ] }
+
+const { invalidFilter } = require("./scimError");
+
+const compareOperators = ["eq", "ne", "co", "sw", "ew", "gt", "lt", "ge", "le"];
+
+function tokenize(str) {
+  const tokens = [];
+  let i = 0;
+  while (i < str.length) {
+    const c = str[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if ("()[]".includes(c)) {
+      tokens.push({ type: c, pos: i });
+      i++;
+    } else if (c === '"') {
+      let j = i + 1;
+      while (j < str.length && str[j] !== '"') {
+        if (str[j] === "\\") j++;
+        j++;
+      }
+      if (j >= str.length) {
+        throw invalidFilter(`Invalid filter: unterminated string at position ${i}`);
+      }
+      let value;
+      try {
+        value = JSON.parse(str.substring(i, j + 1));
+      } catch (err) {
+        throw invalidFilter(`Invalid filter: malformed string at position ${i}`);
+      }
+      tokens.push({ type: "string", value, pos: i });
+      i = j + 1;
+    } else {
+      let j = i;
+      while (j < str.length && !/\s/.test(str[j]) && !'()[]"'.includes(str[j])) j++;
+      tokens.push({ type: "word", value: str.substring(i, j), pos: i });
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+function parseScimFilter(filter) {
+  if (typeof filter !== "string" || !filter.trim()) {
+    throw invalidFilter("Invalid filter: filter is empty");
+  }
+  const tokens = tokenize(filter);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (token, keyword) =>
+    token && token.type === "word" && token.value.toLowerCase() === keyword;
+  const expect = (type) => {
+    const token = tokens[pos];
+    if (!token || token.type !== type) {
+      throw invalidFilter(
+        `Invalid filter: expected "${type}" ${
+          token ? `at position ${token.pos}` : "at end of filter"
+        }: ${filter}`
+      );
+    }
+    pos++;
+    return token;
+  };
+
+  function parseValue() {
+    const token = tokens[pos++];
+    if (!token) throw invalidFilter(`Invalid filter: missing comparison value: ${filter}`);
+    if (token.type === "string") return token.value;
+    if (token.type !== "word") {
+      throw invalidFilter(`Invalid filter: unexpected "${token.type}" at position ${token.pos}: ${filter}`);
+    }
+    const lcase = token.value.toLowerCase();
+    if (lcase === "true") return true;
+    if (lcase === "false") return false;
+    if (lcase === "null") return null;
+    if (token.value !== "" && !isNaN(token.value)) return Number(token.value);
+    throw invalidFilter(`Invalid filter: invalid comparison value "${token.value}": ${filter}`);
+  }
+
+  function parseOr() {
+    const filters = [parseAnd()];
+    while (isKeyword(peek(), "or")) {
+      pos++;
+      filters.push(parseAnd());
+    }
+    return filters.length === 1 ? filters[0] : { type: "logical", op: "or", filters };
+  }
+
+  function parseAnd() {
+    const filters = [parseUnary()];
+    while (isKeyword(peek(), "and")) {
+      pos++;
+      filters.push(parseUnary());
+    }
+    return filters.length === 1 ? filters[0] : { type: "logical", op: "and", filters };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) throw invalidFilter(`Invalid filter: unexpected end of filter: ${filter}`);
+    if (isKeyword(token, "not") && tokens[pos + 1] && tokens[pos + 1].type === "(") {
+      pos += 2;
+      const node = parseOr();
+      expect(")");
+      return { type: "not", filter: node };
+    }
+    if (token.type === "(") {
+      pos++;
+      const node = parseOr();
+      expect(")");
+      return node;
+    }
+    return parseAttrExp();
+  }
+
+  function parseAttrExp() {
+    const token = expect("word");
+    const attrPath = token.value;
+    if (!/^[A-Za-z$][\w:.$-]*$/.test(attrPath)) {
+      throw invalidFilter(`Invalid filter: invalid attribute path "${attrPath}": ${filter}`);
+    }
+    const next = peek();
+    if (next && next.type === "[") {
+      pos++;
+      const node = parseOr();
+      expect("]");
+      return { type: "valuePath", attrPath, filter: node };
+    }
+    const opToken = tokens[pos++];
+    const op = opToken && opToken.type === "word" ? opToken.value.toLowerCase() : undefined;
+    if (op === "pr") return { type: "compare", attrPath, op };
+    if (!compareOperators.includes(op)) {
+      throw invalidFilter(
+        `Invalid filter: unsupported operator ${
+          opToken ? `"${opToken.value || opToken.type}"` : "(missing)"
+        } for attribute ${attrPath}: ${filter}`
+      );
+    }
+    return { type: "compare", attrPath, op, value: parseValue() };
+  }
+
+  const node = parseOr();
+  if (pos < tokens.length) {
+    throw invalidFilter(`Invalid filter: unexpected token at position ${tokens[pos].pos}: ${filter}`);
+  }
+  return node;
+}
+
+// compareValue compares strings case insensitive, booleans and numbers also match their string representation e.g. "True"
+function compareValue(actual, op, expected) {
+  if (op === "pr") return actual !== undefined && actual !== null && actual !== "";
+  if (actual === undefined || actual === null) return op === "ne" ? expected !== null : expected === null && op === "eq";
+  const a = typeof actual === "string" || typeof expected === "string" ? String(actual).toLowerCase() : actual;
+  const e = typeof actual === "string" || typeof expected === "string" ? String(expected).toLowerCase() : expected;
+  switch (op) {
+    case "eq":
+      return a === e;
+    case "ne":
+      return a !== e;
+    case "co":
+      return String(a).includes(String(e));
+    case "sw":
+      return String(a).startsWith(String(e));
+    case "ew":
+      return String(a).endsWith(String(e));
+    case "gt":
+      return a > e;
+    case "lt":
+      return a < e;
+    case "ge":
+      return a >= e;
+    case "le":
+      return a <= e;
+    default:
+      return false;
+  }
+}
+
+// matchScimFilter returns true when obj matches a node returned by parseScimFilter
+// used for value filters of multi-valued attribute elements e.g. emails[type eq "work" and primary eq true]
+function matchScimFilter(node, obj) {
+  switch (node.type) {
+    case "logical":
+      return node.op === "and"
+        ? node.filters.every((filter) => matchScimFilter(filter, obj))
+        : node.filters.some((filter) => matchScimFilter(filter, obj));
+    case "not":
+      return !matchScimFilter(node.filter, obj);
+    case "compare": {
+      const value = node.attrPath.split(".").reduce((item, name) => {
+        if (item === null || typeof item !== "object") return undefined;
+        const key = Object.keys(item).find((k) => k.toLowerCase() === name.toLowerCase());
+        return key === undefined ? undefined : item[key];
+      }, obj);
+      return compareValue(value, node.op, node.value);
+    }
+    default:
+      return false;
+  }
+}
+
+module.exports = { parseScimFilter, matchScimFilter, compareOperators };
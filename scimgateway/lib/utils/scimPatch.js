@@ -0,0 +1,184 @@
+// SCIM 2.0 PATCH path resolution according to RFC 7644 section 3.5.2
+//
+// resolvePatch(body, schema, getCurrent) returns a PatchOp having only operations convertedScim20 can express:
+// - operations without path are split into one operation per attribute, and the core schema urn is removed from paths
+//   e.g. urn:ietf:params:scim:schemas:core:2.0:User:name.givenName => name.givenName
+// - value filters and sub-attributes of multi-valued attributes e.g. emails[type eq "work"].value are resolved against
+//   the current object into removed elements (remove operation having the elements as value) and added elements
+// - replacing or removing a whole multi-valued attribute removes the current elements
+// - complex values of single-valued attributes and extension objects are split into sub-attribute operations
+//   e.g. { "path": "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:manager", "value": { "value": "123" } }
+//   => { "path": "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:manager.value", "value": "123" }
+//
+// paths not matching the schema or using unsupported value filters throw ScimError "invalidPath",
+// remove without path and replace having a value filter matching no element throw "noTarget"
+// getCurrent() returning the current object is only called when current elements are needed
+
+const { ScimError } = require("./scimError");
+const { parseScimFilter, matchScimFilter } = require("./scimFilter");
+const { resolvePatchPath, findAttribute, getExtension, getSubAttributes } = require("./scimSchema");
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function getValue(obj, name) {
+  if (!isPlainObject(obj)) return undefined;
+  const key = Object.keys(obj).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : obj[key];
+}
+
+// sameElement matches elements having same value (e.g. members), elements without value must be equal
+function sameElement(a, b) {
+  if (isPlainObject(a) && isPlainObject(b) && a.value !== undefined) return a.value === b.value;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// filterAttributes returns the attribute paths used by a value filter
+function filterAttributes(node) {
+  if (node.type === "logical") return node.filters.flatMap(filterAttributes);
+  if (node.type === "not") return filterAttributes(node.filter);
+  if (node.type === "valuePath") return [`${node.attrPath}[]`];
+  return [node.attrPath];
+}
+
+// filterElement returns the element described by a value filter having only "eq" comparisons joined by "and"
+// e.g. [type eq "work"] => { type: "work" }, used for adding an element not matched by the filter
+function filterElement(node, subAttributes) {
+  if (node.type === "logical" && node.op === "and") {
+    const elements = node.filters.map((filter) => filterElement(filter, subAttributes));
+    return elements.includes(undefined) ? undefined : Object.assign({}, ...elements);
+  }
+  if (node.type !== "compare" || node.op !== "eq") return undefined;
+  const definition = findAttribute(subAttributes, node.attrPath);
+  let value = node.value;
+  if ((definition.type || "").toLowerCase() === "boolean" && typeof value === "string") {
+    value = value.toLowerCase() === "true";
+  }
+  return { [definition.name]: value };
+}
+
+// normalize returns the operations having a path, the core schema urn removed and op in lower case
+function normalize(operation, schema) {
+  const op = typeof operation.op === "string" ? operation.op.toLowerCase() : operation.op;
+  if (operation.path !== undefined && operation.path !== null) {
+    let path = String(operation.path).trim();
+    if (path.toLowerCase().startsWith(`${schema.id.toLowerCase()}:`)) path = path.substring(schema.id.length + 1);
+    return [{ op, path, value: operation.value }];
+  }
+  if (op === "remove") throw new ScimError("noTarget", "remove operation requires path");
+  if (!isPlainObject(operation.value)) {
+    throw new ScimError("invalidSyntax", `${op} operation without path requires an object value`);
+  }
+  const operations = [];
+  for (const key in operation.value) {
+    if (key.toLowerCase() === schema.id.toLowerCase() && isPlainObject(operation.value[key])) {
+      for (const k in operation.value[key]) operations.push({ op, path: k, value: operation.value[key][k] });
+    } else operations.push({ op, path: key, value: operation.value[key] });
+  }
+  return operations;
+}
+
+async function resolvePatch(body, schema, getCurrent) {
+  const operations = [];
+  let current;
+  const getCurrentValue = async (urn, name) => {
+    if (!current) current = (await getCurrent()) || {};
+    return getValue(urn ? getValue(current, urn) : current, name);
+  };
+
+  const queue = body.Operations.flatMap((operation) => normalize(operation, schema));
+  while (queue.length > 0) {
+    const { op, path, value } = queue.shift();
+    const target = resolvePatchPath(schema, path);
+    const prefix = target.urn ? `${target.urn}:` : "";
+
+    if (!target.definition) {
+      // whole extension object
+      const [, attributes] = getExtension(schema, target.urn);
+      if (op === "remove") {
+        for (const attr of attributes) queue.push({ op, path: `${prefix}${attr.name}` });
+      } else if (isPlainObject(value)) {
+        for (const key in value) queue.push({ op, path: `${prefix}${key}`, value: value[key] });
+      } else throw new ScimError("invalidSyntax", `${op} ${path} requires an object value`);
+      continue;
+    }
+
+    const { definition, parent, filter } = target;
+    const multi = parent && parent.multiValued ? parent : definition.multiValued ? definition : undefined;
+
+    if (!multi) {
+      // single-valued attribute or sub-attribute of a single-valued complex attribute
+      const attrPath = `${prefix}${parent ? `${parent.name}.` : ""}${definition.name}`;
+      if ((definition.type || "").toLowerCase() === "complex" && !parent) {
+        if (op === "remove") {
+          for (const attr of definition.subAttributes || []) queue.push({ op, path: `${attrPath}.${attr.name}` });
+          continue;
+        }
+        if (isPlainObject(value)) {
+          for (const key in value) queue.push({ op, path: `${attrPath}.${key}`, value: value[key] });
+          continue;
+        }
+      }
+      operations.push(op === "remove" ? { op, path: attrPath } : { op, path: attrPath, value });
+      continue;
+    }
+
+    const attrPath = `${prefix}${multi.name}`;
+    const subAttributes = getSubAttributes(multi);
+    const sub = parent && parent.multiValued ? definition : undefined;
+    const removed = [];
+    const added = [];
+
+    if (filter === undefined && !sub) {
+      // whole multi-valued attribute
+      const values = value === undefined || Array.isArray(value) ? value : [value];
+      if (op === "add") added.push(...values);
+      else if (op === "remove" && values) removed.push(...values); // elements to remove e.g. members [{ "value": "123" }]
+      else {
+        const elements = (await getCurrentValue(target.urn, multi.name)) || [];
+        const keep = op === "replace" ? values : [];
+        removed.push(...elements.filter((element) => !keep.some((item) => sameElement(element, item))));
+        added.push(...keep);
+      }
+    } else {
+      // elements selected by value filter, or all elements e.g. emails.value
+      let node;
+      if (filter !== undefined) {
+        node = parseScimFilter(filter);
+        for (const attr of filterAttributes(node)) {
+          if (attr.includes(".") || attr.endsWith("[]") || !findAttribute(subAttributes, attr)) {
+            throw new ScimError("invalidPath", `path ${path} has unsupported value filter attribute ${attr}`);
+          }
+        }
+      }
+      const elements = (await getCurrentValue(target.urn, multi.name)) || [];
+      const matched = elements.filter((element) => !node || matchScimFilter(node, element));
+      if (matched.length < 1) {
+        if (op === "remove") continue; // nothing to remove
+        const element = node ? filterElement(node, subAttributes) : {};
+        if (op === "replace" || !element) {
+          throw new ScimError("noTarget", `path ${path} does not match any ${multi.name} element`);
+        }
+        added.push(sub ? { ...element, [sub.name]: value } : { ...element, ...value });
+      }
+      for (const element of matched) {
+        removed.push(element);
+        if (sub && op === "remove") {
+          // re-added without the sub-attribute, an element without value is removed e.g. emails[type eq "work"].value
+          if (sub.name === "value") continue;
+          const rest = { ...element };
+          delete rest[sub.name];
+          added.push(rest);
+        } else if (sub) added.push({ ...element, [sub.name]: value });
+        else if (op === "add") added.push({ ...element, ...value });
+        else if (op === "replace") added.push({ ...(element.type !== undefined && { type: element.type }), ...value });
+      }
+    }
+    if (removed.length > 0) operations.push({ op: "remove", path: attrPath, value: removed });
+    if (added.length > 0) operations.push({ op: "add", path: attrPath, value: added });
+  }
+  return { ...body, Operations: operations };
+}
+
+module.exports = { resolvePatch };
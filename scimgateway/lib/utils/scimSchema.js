@@ -0,0 +1,565 @@
+// SCIM request validation against the schema definitions of lib/scimdef-v2.js (or scimdef-v1.js)
+// including custom schema attributes merged into the core schemas
+//
+// validateResource(body, schema, { required }) checks a POST/PUT body (or SCIM 1.1 PATCH body having required false)
+// validatePatch(body, schema) checks a SCIM 2.0 PatchOp request
+// violations throw ScimError "invalidValue" (data type, canonicalValues, required), "invalidSyntax" (unknown attribute,
+// malformed request) or "invalidPath" (PATCH path not matching the schema), the message names the offending path
+//
+// mutability and returned (RFC 7643 section 7):
+// dropReadOnly(body, schema) and checkPatchMutability(body, schema, getCurrent) ignore readOnly values of written bodies,
+// a PATCH path targeting a readOnly attribute and changes of immutable attributes throw ScimError "mutability"
+// applyReturned(obj, schema, attributes) removes returned "never" (writeOnly) and not requested returned "request" attributes
+
+const { ScimError } = require("./scimError");
+const { parseScimFilter } = require("./scimFilter");
+
+// common attributes of all resources (RFC 7643 section 3.1), used when not defined by the schema
+const commonAttributes = [
+  { name: "id", type: "string", multiValued: false, caseExact: true, mutability: "readOnly", returned: "always" },
+  { name: "externalId", type: "string", multiValued: false, caseExact: true, mutability: "readWrite", returned: "default" },
+  {
+    name: "meta",
+    type: "complex",
+    multiValued: false,
+    mutability: "readOnly",
+    returned: "default",
+    subAttributes: [
+      { name: "resourceType", type: "string", multiValued: false, mutability: "readOnly" },
+      { name: "created", type: "dateTime", multiValued: false, mutability: "readOnly" },
+      { name: "lastModified", type: "dateTime", multiValued: false, mutability: "readOnly" },
+      { name: "location", type: "reference", multiValued: false, mutability: "readOnly" },
+      { name: "version", type: "string", multiValued: false, mutability: "readOnly" },
+    ],
+  },
+];
+
+// default sub-attributes of multi-valued attributes (RFC 7643 section 2.4), "operation" is used by SCIM 1.1 PATCH
+const multiValuedSubAttributes = [
+  { name: "type", type: "string", multiValued: false },
+  { name: "primary", type: "boolean", multiValued: false },
+  { name: "display", type: "string", multiValued: false },
+  { name: "value", type: "string", multiValued: false },
+  { name: "$ref", type: "reference", multiValued: false },
+  { name: "operation", type: "string", multiValued: false },
+];
+
+const patchOpSchema = "urn:ietf:params:scim:api:messages:2.0:PatchOp";
+
+function invalidValue(message) {
+  return new ScimError("invalidValue", message);
+}
+
+function invalidSyntax(message) {
+  return new ScimError("invalidSyntax", message);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function findAttribute(attributes, name) {
+  const lcase = name.toLowerCase();
+  return attributes.find((attr) => attr.name.toLowerCase() === lcase);
+}
+
+function isReadOnly(definition) {
+  return definition.mutability === "readOnly" || definition.readOnly === true;
+}
+
+function isComplex(definition) {
+  return (definition.type || "").toLowerCase() === "complex";
+}
+
+// getSubAttributes returns sub-attribute definitions of a complex attribute, multi-valued ones also have the default sub-attributes
+function getSubAttributes(definition) {
+  const subAttributes = definition.subAttributes || [];
+  if (!definition.multiValued) return subAttributes;
+  return [...subAttributes, ...multiValuedSubAttributes.filter((attr) => !findAttribute(subAttributes, attr.name))];
+}
+
+// getResourceSchema returns { id, attributes, extensions: { <schema urn>: attributes } } of resourceType "User" or "Group"
+// SCIM 2.0 extensions are listed by ResourceType, SCIM 1.1 extension attributes have their own "schema"
+function getResourceSchema(scimDef, resourceType) {
+  const resources = scimDef.Schemas.Resources;
+  const core = resources.find((el) => el.name === resourceType);
+  if (!core) return undefined;
+  const id = core.id || core.schema;
+  const extensions = {};
+  let attributes = core.attributes;
+
+  const type = ((scimDef.ResourceType && scimDef.ResourceType.Resources) || []).find(
+    (el) => el.name === resourceType
+  );
+  for (const ext of (type && type.schemaExtensions) || []) {
+    const schema = resources.find((el) => el.id === ext.schema);
+    if (schema) extensions[ext.schema] = schema.attributes;
+  }
+  for (const attr of attributes) {
+    if (attr.schema && attr.schema !== id && attr.schema.includes(":extension:")) {
+      if (!extensions[attr.schema]) extensions[attr.schema] = [];
+      extensions[attr.schema].push(attr);
+    }
+  }
+  attributes = attributes.filter((attr) => !attr.schema || !extensions[attr.schema]);
+  for (const attr of commonAttributes) {
+    if (!findAttribute(attributes, attr.name)) attributes = [...attributes, attr];
+  }
+  return { id, attributes, extensions };
+}
+
+// getExtension returns [urn, attributes] of an extension schema urn (case insensitive)
+function getExtension(schema, urn) {
+  const lcase = urn.toLowerCase();
+  const key = Object.keys(schema.extensions).find((item) => item.toLowerCase() === lcase);
+  return key ? [key, schema.extensions[key]] : [];
+}
+
+function checkCanonicalValue(definition, value, path) {
+  if (!Array.isArray(definition.canonicalValues) || definition.canonicalValues.length < 1) return;
+  const values = definition.canonicalValues.map((item) => (isPlainObject(item) ? item.value : item));
+  const match = definition.caseExact
+    ? values.includes(value)
+    : values.some((item) => String(item).toLowerCase() === value.toLowerCase());
+  if (!match) throw invalidValue(`attribute ${path} must be one of: ${values.join(", ")}`);
+}
+
+// validateSingleValue checks one value (element of multi-valued attributes) against the attribute definition
+function validateSingleValue(definition, value, path, options) {
+  const type = (definition.type || "string").toLowerCase();
+  switch (type) {
+    case "string":
+    case "reference":
+      if (typeof value !== "string") throw invalidValue(`attribute ${path} must be a string`);
+      checkCanonicalValue(definition, value, path);
+      return;
+    case "binary":
+      if (typeof value !== "string" || !/^[A-Za-z0-9+/=_-]*$/.test(value)) {
+        throw invalidValue(`attribute ${path} must be a base64 encoded string`);
+      }
+      return;
+    case "boolean":
+      // "True"/"False" strings are sent by Azure AD
+      if (typeof value !== "boolean" && !(typeof value === "string" && /^(true|false)$/i.test(value))) {
+        throw invalidValue(`attribute ${path} must be a boolean`);
+      }
+      return;
+    case "integer":
+      if (!Number.isInteger(value)) throw invalidValue(`attribute ${path} must be an integer`);
+      return;
+    case "decimal":
+      if (typeof value !== "number" || !Number.isFinite(value)) throw invalidValue(`attribute ${path} must be a decimal`);
+      return;
+    case "datetime":
+      if (typeof value !== "string" || isNaN(Date.parse(value))) {
+        throw invalidValue(`attribute ${path} must be a dateTime e.g. 2008-01-23T04:56:22Z`);
+      }
+      return;
+    case "complex":
+      if (!isPlainObject(value)) throw invalidValue(`attribute ${path} must be a complex object`);
+      validateAttributes(getSubAttributes(definition), value, path, options);
+      return;
+    default:
+  }
+}
+
+// isManagerString returns true for the enterprise manager sent as a string by Azure AD instead of { value },
+// validated as { value: <string> } (the string is converted to manager.value by convertedScim20)
+function isManagerString(definition, value) {
+  return definition.name === "manager" && isComplex(definition) && !definition.multiValued && typeof value === "string";
+}
+
+// validateValue checks value including multiValued shape, null removes the attribute
+function validateValue(definition, value, path, options) {
+  if (value === null) return;
+  if (isManagerString(definition, value)) value = { value };
+  if (definition.multiValued) {
+    if (!Array.isArray(value)) throw invalidValue(`attribute ${path} must be an array`);
+    value.forEach((item, i) => {
+      if (item === null) throw invalidValue(`attribute ${path}[${i}] must not be null`);
+      validateSingleValue(definition, item, `${path}[${i}]`, options);
+    });
+    return;
+  }
+  if (Array.isArray(value)) throw invalidValue(`attribute ${path} must be a single value, not an array`);
+  validateSingleValue(definition, value, path, options);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length < 1);
+}
+
+// validateAttributes checks the attributes of obj, path (optional) is the parent attribute path
+function validateAttributes(attributes, obj, path, options) {
+  for (const key in obj) {
+    const definition = findAttribute(attributes, key);
+    const attrPath = path ? `${path}.${key}` : key;
+    if (!definition) throw invalidSyntax(`attribute ${attrPath} is not defined by the schema`);
+    validateValue(definition, obj[key], attrPath, options);
+  }
+  if (options.required) {
+    for (const definition of attributes) {
+      if (!definition.required || isReadOnly(definition) || definition.name === "id") continue;
+      const key = Object.keys(obj).find((item) => item.toLowerCase() === definition.name.toLowerCase());
+      if (isEmpty(key && obj[key])) {
+        throw invalidValue(`attribute ${path ? `${path}.${definition.name}` : definition.name} is required`);
+      }
+    }
+  }
+}
+
+function validateSchemas(value) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw invalidSyntax("attribute schemas must be an array of schema URIs");
+  }
+}
+
+// validateResource checks a resource body, options.required enforces required attributes (POST/PUT)
+function validateResource(body, schema, options = {}) {
+  if (!isPlainObject(body)) throw invalidSyntax("request body must be a JSON object");
+  const core = {};
+  for (const key in body) {
+    if (key.toLowerCase() === "schemas") {
+      validateSchemas(body[key]);
+    } else if (key.toLowerCase().startsWith("urn:")) {
+      if (key.toLowerCase() === schema.id.toLowerCase()) {
+        if (!isPlainObject(body[key])) throw invalidSyntax(`attribute ${key} must be an object`);
+        Object.assign(core, body[key]); // core attributes below the core schema urn
+        continue;
+      }
+      const [urn, attributes] = getExtension(schema, key);
+      if (!urn) {
+        // extension attribute having full path e.g. urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:department
+        const i = key.lastIndexOf(":");
+        const [attrUrn, attrs] = getExtension(schema, key.substring(0, i));
+        const definition = attrUrn && findAttribute(attrs, key.substring(i + 1));
+        if (!definition) throw invalidSyntax(`attribute ${key} is not defined by the schema`);
+        validateValue(definition, body[key], key, { required: false });
+        continue;
+      }
+      if (body[key] === null) continue;
+      if (!isPlainObject(body[key])) throw invalidSyntax(`attribute ${key} must be an object`);
+      validateAttributes(attributes, body[key], urn, { required: false });
+    } else {
+      core[key] = body[key];
+    }
+  }
+  validateAttributes(schema.attributes, core, "", { required: !!options.required });
+}
+
+// parsePatchPath splits a PATCH path into { urn, attr, filter, subAttr }
+// e.g. 'emails[type eq "work"].value' => { attr: "emails", filter: 'type eq "work"', subAttr: "value" }
+// 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:manager.value' => { urn, attr: "manager", subAttr: "value" }
+function parsePatchPath(path) {
+  const match = /^(?:(urn:[^[\]\s]+):)?([A-Za-z$][\w$-]*)(?:\[(.+)\])?(?:\.([A-Za-z$][\w$-]*))?$/.exec(path.trim());
+  if (!match) return undefined;
+  return { urn: match[1], attr: match[2], filter: match[3], subAttr: match[4] };
+}
+
+function invalidPath(path, reason) {
+  return new ScimError("invalidPath", `path ${path} ${reason}`);
+}
+
+// resolvePatchPath returns { definition, parent, filter, urn } of the attribute targeted by a PATCH path
+// definition is undefined when the path targets a whole extension object
+function resolvePatchPath(schema, path) {
+  if (typeof path !== "string" || !path.trim()) throw invalidPath(JSON.stringify(path), "must be a non-empty string");
+  const [extensionUrn] = getExtension(schema, path.trim());
+  if (extensionUrn) return { urn: extensionUrn };
+
+  const parsed = parsePatchPath(path);
+  if (!parsed) throw invalidPath(path, "is not a valid attribute path");
+  let attributes = schema.attributes;
+  let urn;
+  if (parsed.urn) {
+    if (parsed.urn.toLowerCase() !== schema.id.toLowerCase()) {
+      [urn, attributes] = getExtension(schema, parsed.urn);
+      if (!urn) throw invalidPath(path, `references unknown schema ${parsed.urn}`);
+    }
+  }
+  const definition = findAttribute(attributes, parsed.attr);
+  if (!definition) throw invalidPath(path, "is not defined by the schema");
+
+  if (parsed.filter !== undefined) {
+    if (!definition.multiValued || !isComplex(definition)) {
+      throw invalidPath(path, `has a value filter but ${definition.name} is not a multi-valued complex attribute`);
+    }
+    try {
+      parseScimFilter(parsed.filter);
+    } catch (err) {
+      throw invalidPath(path, `has an invalid value filter: ${err.message}`);
+    }
+  }
+  if (parsed.subAttr === undefined) return { definition, filter: parsed.filter, urn };
+
+  if (!isComplex(definition)) {
+    throw invalidPath(path, `has sub-attribute ${parsed.subAttr} but ${definition.name} is not complex`);
+  }
+  const subDefinition = findAttribute(getSubAttributes(definition), parsed.subAttr);
+  if (!subDefinition) throw invalidPath(path, "is not defined by the schema");
+  return { definition: subDefinition, parent: definition, filter: parsed.filter, urn };
+}
+
+// validatePatch checks a SCIM 2.0 PatchOp request, see RFC 7644 section 3.5.2
+function validatePatch(body, schema) {
+  if (!isPlainObject(body)) throw invalidSyntax("request body must be a JSON object");
+  if (body.schemas !== undefined) {
+    validateSchemas(body.schemas);
+    if (!body.schemas.includes(patchOpSchema)) throw invalidSyntax(`PATCH request must have schemas ${patchOpSchema}`);
+  }
+  if (!Array.isArray(body.Operations) || body.Operations.length < 1) {
+    throw invalidSyntax("PATCH request must have a non-empty Operations array");
+  }
+  body.Operations.forEach((operation, i) => {
+    if (!isPlainObject(operation)) throw invalidSyntax(`Operations[${i}] must be an object`);
+    const op = typeof operation.op === "string" ? operation.op.toLowerCase() : operation.op;
+    if (!["add", "remove", "replace"].includes(op)) {
+      throw invalidSyntax(`Operations[${i}].op ${JSON.stringify(operation.op)} must be add, remove or replace`);
+    }
+    if (operation.path === undefined || operation.path === null) {
+      if (op === "remove") throw new ScimError("noTarget", `Operations[${i}] remove requires path`);
+      if (!isPlainObject(operation.value)) throw invalidSyntax(`Operations[${i}] ${op} without path requires an object value`);
+      // Azure sends sub-attribute paths as keys e.g. { "name.givenName": "Barbara" }
+      const value = {};
+      for (const key of Object.keys(operation.value)) {
+        if (key.includes(".") && !key.startsWith("urn:")) {
+          const { definition } = resolvePatchPath(schema, key);
+          validateValue(definition, operation.value[key], key, { required: false });
+        } else value[key] = operation.value[key];
+      }
+      validateResource(value, schema, { required: false });
+      return;
+    }
+    const target = resolvePatchPath(schema, operation.path);
+    if (op === "remove") return;
+    if (operation.value === undefined) throw invalidSyntax(`Operations[${i}] ${op} requires value`);
+    if (!target.definition) {
+      // whole extension object
+      if (!isPlainObject(operation.value)) throw invalidSyntax(`attribute ${target.urn} must be an object`);
+      validateAttributes(schema.extensions[target.urn], operation.value, target.urn, { required: false });
+      return;
+    }
+    const { definition } = target;
+    if (target.filter !== undefined && !target.parent) {
+      // element of a multi-valued attribute e.g. emails[type eq "work"]
+      validateSingleValue(definition, operation.value, operation.path, { required: false });
+    } else if (definition.multiValued && !Array.isArray(operation.value)) {
+      // single element added to a multi-valued attribute
+      validateSingleValue(definition, operation.value, operation.path, { required: false });
+    } else {
+      validateValue(definition, operation.value, operation.path, { required: false });
+    }
+  });
+}
+
+function isImmutable(definition) {
+  return definition.mutability === "immutable";
+}
+
+function mutabilityError(path, reason) {
+  return new ScimError("mutability", `attribute ${path} ${reason}`);
+}
+
+// joinPath appends name to an attribute path, extension paths end with ":" e.g. urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:
+function joinPath(path, name) {
+  if (!path) return name;
+  return path.endsWith(":") ? `${path}${name}` : `${path}.${name}`;
+}
+
+// getKey returns the key of obj matching name case insensitive
+function getKey(obj, name) {
+  if (!isPlainObject(obj)) return undefined;
+  const lcase = name.toLowerCase();
+  return Object.keys(obj).find((key) => key.toLowerCase() === lcase);
+}
+
+// resourceEntries calls fn(attributes, obj, urn) for the core attributes and each extension object of a resource body
+// extension attributes having full path e.g. urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:department
+// are passed as { department: value } and put back by the caller using the returned key
+function resourceEntries(body, schema, fn) {
+  const core = {};
+  const ret = {};
+  for (const key in body) {
+    if (!key.toLowerCase().startsWith("urn:")) {
+      core[key] = body[key];
+      continue;
+    }
+    if (key.toLowerCase() === schema.id.toLowerCase() && isPlainObject(body[key])) {
+      ret[key] = fn(schema.attributes, body[key], "");
+      continue;
+    }
+    const [urn, attributes] = getExtension(schema, key);
+    if (urn) {
+      ret[key] = isPlainObject(body[key]) ? fn(attributes, body[key], urn) : body[key];
+      continue;
+    }
+    const i = key.lastIndexOf(":");
+    const [attrUrn, attrs] = getExtension(schema, key.substring(0, i));
+    const name = key.substring(i + 1);
+    if (!attrUrn || !findAttribute(attrs, name)) {
+      ret[key] = body[key];
+      continue;
+    }
+    const value = fn(attrs, { [name]: body[key] }, attrUrn)[name];
+    if (value !== undefined) ret[key] = value;
+  }
+  return { ...fn(schema.attributes, core, ""), ...ret };
+}
+
+// stripAttributes returns a copy of obj without the attributes and sub-attributes matching predicate(definition, path)
+function stripAttributes(attributes, obj, path, predicate) {
+  const ret = {};
+  for (const key in obj) {
+    const definition = findAttribute(attributes, key);
+    const attrPath = joinPath(path, key);
+    if (!definition) ret[key] = obj[key];
+    else if (!predicate(definition, attrPath)) ret[key] = stripValue(definition, obj[key], attrPath, predicate);
+  }
+  return ret;
+}
+
+function stripValue(definition, value, path, predicate) {
+  if (!isComplex(definition)) return value;
+  const subAttributes = getSubAttributes(definition);
+  const strip = (item) => (isPlainObject(item) ? stripAttributes(subAttributes, item, path, predicate) : item);
+  return Array.isArray(value) ? value.map(strip) : strip(value);
+}
+
+// dropReadOnly returns a copy of a POST/PUT (or SCIM 1.1 PATCH) body without readOnly attributes e.g. id, meta and groups
+function dropReadOnly(body, schema) {
+  return resourceEntries(body, schema, (attributes, obj, urn) => stripAttributes(attributes, obj, urn && `${urn}:`, isReadOnly));
+}
+
+// applyReturned removes attributes not to be returned, attributes is the comma separated list of requested attributes
+function applyReturned(obj, schema, attributes) {
+  if (!isPlainObject(obj)) return obj;
+  const requested = (attributes || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter((item) => item);
+  const isRequested = (path) => {
+    const lcase = path.toLowerCase();
+    const name = lcase.substring(lcase.lastIndexOf(":") + 1);
+    return requested.some((item) => [lcase, name].some((p) => item === p || item.startsWith(`${p}.`) || p.startsWith(`${item}.`)));
+  };
+  const notReturned = (definition, path) => {
+    if (definition.returned === "never" || definition.mutability === "writeOnly") return true;
+    return definition.returned === "request" && !isRequested(path);
+  };
+  return resourceEntries(obj, schema, (attrs, value, urn) => stripAttributes(attrs, value, urn && `${urn}:`, notReturned));
+}
+
+// compareValues returns true when values are equal, strings not being caseExact are compared case insensitive
+function compareValues(definition, a, b) {
+  if (typeof a === "string" && typeof b === "string" && !definition.caseExact) return a.toLowerCase() === b.toLowerCase();
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// checkImmutable throws mutability when body changes an immutable attribute having a value in the current object
+// immutable sub-attributes of multi-valued attributes (e.g. members.value) identify an element and are not compared,
+// getCurrent() returning the current object is called only when body includes immutable attributes
+async function checkImmutable(body, schema, getCurrent) {
+  const changes = [];
+  const collect = (attributes, obj, path, currentPath) => {
+    for (const key in obj) {
+      const definition = findAttribute(attributes, key);
+      if (!definition || definition.multiValued) continue;
+      const attrPath = [...currentPath, definition.name];
+      const name = joinPath(path, definition.name);
+      if (isImmutable(definition)) changes.push({ definition, value: obj[key], path: name, currentPath: attrPath });
+      else if (isComplex(definition) && isPlainObject(obj[key])) {
+        collect(definition.subAttributes || [], obj[key], name, attrPath);
+      }
+    }
+  };
+  resourceEntries(body, schema, (attributes, obj, urn) => {
+    collect(attributes, obj, urn ? `${urn}:` : "", urn ? [urn] : []);
+    return obj;
+  });
+  if (changes.length < 1) return;
+  const current = (await getCurrent()) || {};
+  for (const change of changes) {
+    const currentValue = change.currentPath.reduce((obj, name) => {
+      const key = getKey(obj, name);
+      return key === undefined ? undefined : obj[key];
+    }, current);
+    if (!isEmpty(currentValue) && !compareValues(change.definition, change.value, currentValue)) {
+      throw mutabilityError(change.path, "is immutable and can not be changed");
+    }
+  }
+}
+
+// checkPatchMutability returns a copy of a SCIM 2.0 PatchOp body having readOnly values removed
+// an operation path targeting a readOnly attribute or changing an immutable attribute throws mutability
+async function checkPatchMutability(body, schema, getCurrent) {
+  const operations = [];
+  for (const operation of body.Operations) {
+    const op = operation.op.toLowerCase();
+    if (operation.path === undefined || operation.path === null) {
+      // no path, value is a (partial) resource that may use sub-attribute paths as keys e.g. { "name.givenName": "Barbara" }
+      // sub-attribute path keys are not known attributes and kept by dropReadOnly and checkImmutable
+      const value = {};
+      for (const key of Object.keys(operation.value)) {
+        if (!key.includes(".") || key.startsWith("urn:")) {
+          value[key] = operation.value[key];
+          continue;
+        }
+        const { definition, parent } = resolvePatchPath(schema, key);
+        if (isReadOnly(definition) || (parent && isReadOnly(parent))) continue;
+        value[key] = stripValue(definition, operation.value[key], key, isReadOnly);
+        const obj = parent ? { [parent.name]: { [definition.name]: value[key] } } : { [definition.name]: value[key] };
+        await checkImmutable(obj, schema, getCurrent);
+      }
+      const ret = dropReadOnly(value, schema);
+      await checkImmutable(ret, schema, getCurrent);
+      operations.push({ ...operation, value: ret });
+      continue;
+    }
+    const target = resolvePatchPath(schema, operation.path);
+    if (!target.definition) {
+      // whole extension object
+      if (op === "remove") operations.push(operation);
+      else {
+        const value = dropReadOnly({ [target.urn]: operation.value }, schema);
+        await checkImmutable(value, schema, getCurrent);
+        operations.push({ ...operation, value: value[target.urn] });
+      }
+      continue;
+    }
+    const { definition, parent } = target;
+    if (isReadOnly(definition) || (parent && isReadOnly(parent))) throw mutabilityError(operation.path, "is readOnly");
+    if (isImmutable(definition) || (parent && isImmutable(parent))) {
+      if (target.filter !== undefined || (parent && parent.multiValued) || definition.multiValued) {
+        throw mutabilityError(operation.path, "is immutable and can not be changed");
+      }
+      const current = (await getCurrent()) || {};
+      const currentPath = [target.urn, parent && parent.name, definition.name].filter((name) => name);
+      const currentValue = currentPath.reduce((obj, name) => {
+        const key = getKey(obj, name);
+        return key === undefined ? undefined : obj[key];
+      }, current);
+      if (!isEmpty(currentValue) && (op === "remove" || !compareValues(definition, operation.value, currentValue))) {
+        throw mutabilityError(operation.path, "is immutable and can not be changed");
+      }
+    }
+    if (op === "remove") operations.push(operation);
+    else operations.push({ ...operation, value: stripValue(definition, operation.value, operation.path, isReadOnly) });
+  }
+  return { ...body, Operations: operations };
+}
+
+module.exports = {
+  getResourceSchema,
+  validateResource,
+  validatePatch,
+  parsePatchPath,
+  resolvePatchPath,
+  findAttribute,
+  getExtension,
+  getSubAttributes,
+  isReadOnly,
+  dropReadOnly,
+  applyReturned,
+  checkImmutable,
+  checkPatchMutability,
+};
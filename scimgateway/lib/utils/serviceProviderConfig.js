@@ -0,0 +1,111 @@
+// ServiceProviderConfig and ResourceTypes (RFC 7643 sections 5 and 6) assembled from what gateway and plugin implement
+//
+// capabilities are declared by the plugin e.g. scimgateway.capabilities = { sort: true, etag: true, changePassword: true }
+// and assembled by the gateway once the plugin has been loaded, see getCapabilities() in lib/scimgateway.js
+
+const defaultMaxResults = 200; // default count when startIndex is included without count
+const defaultMaxOperations = 1000; // Bulk operations per request
+const defaultMaxPayloadSize = 1048576; // Bulk request size in bytes
+
+// authentication schemes of the configured auth methods, SCIM 1.1 uses specUrl/documentationUrl
+const authenticationSchemes = {
+  basic: {
+    type: "httpbasic",
+    name: "HTTP Basic",
+    description: "Authentication scheme using the HTTP Basic Standard",
+    specUri: "https://www.rfc-editor.org/info/rfc7617",
+    documentationUri: "https://en.wikipedia.org/wiki/Basic_access_authentication",
+  },
+  bearerToken: {
+    type: "oauthbearertoken",
+    name: "OAuth Bearer Token",
+    description: "Authentication scheme using a shared bearer token",
+    specUri: "https://www.rfc-editor.org/info/rfc6750",
+  },
+  bearerJwtAzure: {
+    type: "oauthbearertoken",
+    name: "Azure AD JWT Bearer Token",
+    description: "Authentication scheme using a JSON Web Token issued by Azure AD",
+    specUri: "https://www.rfc-editor.org/info/rfc7519",
+  },
+  bearerJwt: {
+    type: "oauthbearertoken",
+    name: "JWT Bearer Token",
+    description: "Authentication scheme using a signed JSON Web Token",
+    specUri: "https://www.rfc-editor.org/info/rfc7519",
+  },
+  bearerOAuth: {
+    type: "oauth2",
+    name: "OAuth 2.0 Client Credentials",
+    description: "Authentication scheme using bearer tokens from the oauth/token endpoint (client credentials grant)",
+    specUri: "https://www.rfc-editor.org/info/rfc6749",
+  },
+};
+
+// getCapabilities returns the capabilities of gateway and plugin
+// declared: plugin capabilities, implemented: { patch, changePassword } false when plugin methods are missing
+function getCapabilities(declared = {}, implemented = {}) {
+  const maxResults = parseInt(declared.maxResults);
+  const maxOperations = parseInt(declared.maxOperations);
+  const maxPayloadSize = parseInt(declared.maxPayloadSize);
+  return {
+    filter: declared.filter !== false,
+    sort: declared.sort === true,
+    patch: declared.patch !== false && implemented.patch !== false,
+    bulk: declared.bulk === true,
+    etag: declared.etag === true,
+    changePassword: declared.changePassword === true && implemented.changePassword !== false,
+    maxResults: maxResults > 0 ? maxResults : defaultMaxResults,
+    maxOperations: maxOperations > 0 ? maxOperations : defaultMaxOperations,
+    maxPayloadSize: maxPayloadSize > 0 ? maxPayloadSize : defaultMaxPayloadSize,
+  };
+}
+
+// getAuthenticationSchemes returns the schemes of configured auth methods e.g. ["basic", "bearerToken"], first is primary
+function getAuthenticationSchemes(methods, isScimv2) {
+  return methods
+    .filter((method) => authenticationSchemes[method])
+    .map((method, i) => {
+      const { specUri, documentationUri, ...scheme } = authenticationSchemes[method];
+      if (isScimv2) return { ...scheme, specUri, ...(documentationUri && { documentationUri }), primary: i === 0 };
+      return { ...scheme, specUrl: specUri, ...(documentationUri && { documentationUrl: documentationUri }), primary: i === 0 };
+    });
+}
+
+// getServiceProviderConfig returns scimDef.ServiceProviderConfigs having features according to capabilities
+function getServiceProviderConfig(scimDef, capabilities, schemes) {
+  const config = JSON.parse(JSON.stringify(scimDef.ServiceProviderConfigs));
+  config.patch = { supported: capabilities.patch };
+  config.bulk = {
+    supported: capabilities.bulk,
+    maxOperations: capabilities.maxOperations,
+    maxPayloadSize: capabilities.maxPayloadSize,
+  };
+  config.filter = { supported: capabilities.filter, maxResults: capabilities.maxResults };
+  config.changePassword = { supported: capabilities.changePassword };
+  config.sort = { supported: capabilities.sort };
+  config.etag = { supported: capabilities.etag };
+  config.authenticationSchemes = schemes;
+  return config;
+}
+
+// getResourceTypes returns the ListResponse of scimDef.ResourceType having the resource types served by the plugin e.g. ["User", "Group"]
+function getResourceTypes(scimDef, names) {
+  const all = (scimDef.ResourceType && scimDef.ResourceType.Resources) || [];
+  const resources = all.filter((el) => names.includes(el.name)).map((el) => JSON.parse(JSON.stringify(el)));
+  return {
+    schemas: ["urn:ietf:params:scim:api:messages:2.0:ListResponse"],
+    totalResults: resources.length,
+    itemsPerPage: resources.length,
+    startIndex: 1,
+    Resources: resources,
+  };
+}
+
+module.exports = {
+  defaultMaxResults,
+  getCapabilities,
+  getAuthenticationSchemes,
+  getServiceProviderConfig,
+  getResourceTypes,
+};
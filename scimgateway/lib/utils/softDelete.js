@@ -0,0 +1,55 @@
+// Soft delete of users and groups, see "soft delete" in lib/plugin-mongodb-new-connector.js
+//
+// a soft deleted resource is retained until purged, its unique values (e.g. userName and externalId) are released
+// by a suffix so that a new resource may reuse them: "jdoe" => "jdoe~deleted~<id>"
+
+const deletedSuffix = "~deleted~";
+
+// releaseUniqueValues sets the unique fields of row in data having the deleted suffix added
+function releaseUniqueValues(data, row, fields) {
+  for (const field of fields) {
+    const value = row[field];
+    if (typeof value !== "string" || !value || value.includes(deletedSuffix)) continue;
+    data[field] = `${value}${deletedSuffix}${row.id}`;
+  }
+  return data;
+}
+
+// restoreUniqueValues returns a copy of row having the deleted suffix of the unique fields removed
+function restoreUniqueValues(row, fields) {
+  const restored = { ...row };
+  for (const field of fields) {
+    const value = row[field];
+    if (typeof value !== "string") continue;
+    const index = value.lastIndexOf(deletedSuffix);
+    if (index > 0) restored[field] = value.substring(0, index);
+  }
+  return restored;
+}
+
+// purgeDeleted hard deletes resources soft deleted for more than retentionDays and notifies each of them
+// resources = [{ name: "Users", findDeleted(before), remove(row), notify(row) }]
+// returns { before, purged: { <name>: <count> } }
+async function purgeDeleted(retentionDays, resources, now = Date.now()) {
+  const before = new Date(now - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+  for (const resource of resources) {
+    const rows = await resource.findDeleted(before);
+    for (const row of rows) {
+      await resource.remove(row);
+      await resource.notify(row);
+    }
+    purged[resource.name] = rows.length;
+  }
+  return { before, purged };
+}
+
+// startPurgeJob runs purge every purgeInterval seconds when soft delete is enabled, returns the timer or null
+function startPurgeJob(softDelete, purge, onError) {
+  if (!softDelete.enabled) return null;
+  return setInterval(() => {
+    purge().catch(onError);
+  }, softDelete.purgeInterval * 1000).unref();
+}
+
+module.exports = { deletedSuffix, releaseUniqueValues, restoreUniqueValues, purgeDeleted, startPurgeJob };
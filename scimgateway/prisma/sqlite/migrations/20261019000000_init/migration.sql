@@ -0,0 +1,121 @@
+-- Initial sqlite database of prisma/sqlite/schema.prisma
+-- Prisma has no case insensitive equals for sqlite, the columns of attributes that are not caseExact
+-- (e.g. userName, displayName, emails.value) are declared COLLATE NOCASE here, making =, ORDER BY and unique indexes
+-- case insensitive like mode "insensitive" of mongodb and postgresql
+
+-- CreateTable
+CREATE TABLE "users" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "username" TEXT NOT NULL COLLATE NOCASE,
+    "externalId" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT false,
+    "password" TEXT,
+    "givenName" TEXT COLLATE NOCASE,
+    "familyName" TEXT COLLATE NOCASE,
+    "displayName" TEXT COLLATE NOCASE,
+    "telephoneNumber" TEXT COLLATE NOCASE,
+    "employeeNumber" TEXT COLLATE NOCASE,
+    "costCenter" TEXT COLLATE NOCASE,
+    "organization" TEXT COLLATE NOCASE,
+    "division" TEXT COLLATE NOCASE,
+    "department" TEXT COLLATE NOCASE,
+    "managerId" TEXT,
+    "custom" TEXT,
+    "createdAt" DATETIME DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME,
+    "version" INTEGER DEFAULT 1,
+    "deletedAt" DATETIME,
+    "externalIdScope" TEXT NOT NULL DEFAULT '',
+    CONSTRAINT "users_managerId_fkey" FOREIGN KEY ("managerId") REFERENCES "users" ("id") ON DELETE NO ACTION ON UPDATE NO ACTION
+);
+
+-- CreateTable
+CREATE TABLE "Email" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "value" TEXT COLLATE NOCASE,
+    "type" TEXT COLLATE NOCASE,
+    "primary" BOOLEAN,
+    "display" TEXT COLLATE NOCASE,
+    CONSTRAINT "Email_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "PhoneNumber" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "value" TEXT COLLATE NOCASE,
+    "type" TEXT COLLATE NOCASE,
+    "primary" BOOLEAN,
+    "display" TEXT COLLATE NOCASE,
+    CONSTRAINT "PhoneNumber_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Address" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "formatted" TEXT COLLATE NOCASE,
+    "streetAddress" TEXT COLLATE NOCASE,
+    "locality" TEXT COLLATE NOCASE,
+    "region" TEXT COLLATE NOCASE,
+    "postalCode" TEXT COLLATE NOCASE,
+    "country" TEXT COLLATE NOCASE,
+    "type" TEXT COLLATE NOCASE,
+    "primary" BOOLEAN,
+    CONSTRAINT "Address_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "groups" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT COLLATE NOCASE,
+    "externalId" TEXT,
+    "custom" TEXT,
+    "createdAt" DATETIME DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME,
+    "version" INTEGER DEFAULT 1,
+    "deletedAt" DATETIME,
+    "externalIdScope" TEXT NOT NULL DEFAULT ''
+);
+
+-- CreateTable
+CREATE TABLE "memberships" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "groupId" TEXT NOT NULL,
+    "userId" TEXT,
+    "memberGroupId" TEXT,
+    CONSTRAINT "memberships_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "groups" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "memberships_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "memberships_memberGroupId_fkey" FOREIGN KEY ("memberGroupId") REFERENCES "groups" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_username_key" ON "users"("username");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_externalIdScope_externalId_key" ON "users"("externalIdScope", "externalId");
+
+-- CreateIndex
+CREATE INDEX "Email_userId_idx" ON "Email"("userId");
+
+-- CreateIndex
+CREATE INDEX "PhoneNumber_userId_idx" ON "PhoneNumber"("userId");
+
+-- CreateIndex
+CREATE INDEX "Address_userId_idx" ON "Address"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "groups_externalIdScope_externalId_key" ON "groups"("externalIdScope", "externalId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "memberships_groupId_userId_key" ON "memberships"("groupId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "memberships_groupId_memberGroupId_key" ON "memberships"("groupId", "memberGroupId");
+
+-- CreateIndex
+CREATE INDEX "memberships_userId_idx" ON "memberships"("userId");
+
+-- CreateIndex
+CREATE INDEX "memberships_memberGroupId_idx" ON "memberships"("memberGroupId");
@@ -19,6 +19,259 @@ describe("GET /Users", () => {
     expect(response.body).toHaveProperty("Resources");
   });
 
+  it("should return users matching a filter having and/not", async () => {
+    const response = await agent
+      .get(baseURL)
+      .query({ filter: 'userName co "a" and not (active eq false)' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("totalResults");
+    expect(response.body).toHaveProperty("Resources");
+  });
+
+  it("should match userName case insensitively", async () => {
+    const createResponse = await agent.post(baseURL).send({ userName: "CaseUser" });
+
+    expect(createResponse.status).toBe(201);
+
+    const response = await agent
+      .get(baseURL)
+      .query({ filter: 'userName eq "caseuser"' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalResults).toBe(1);
+    expect(response.body.Resources[0].userName).toBe("CaseUser");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createResponse.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should return a page of users with the total number of matches", async () => {
+    const response = await agent
+      .get(baseURL)
+      .query({ startIndex: 1, count: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.startIndex).toBe(1);
+    expect(response.body.itemsPerPage).toBeLessThanOrEqual(1);
+    expect(response.body.totalResults).toBeGreaterThanOrEqual(
+      response.body.itemsPerPage
+    );
+  });
+
+  it("should return users ordered by sortBy and sortOrder", async () => {
+    const userNames = ["sortUserB", "sortUserC", "sortUserA"];
+    const ids = [];
+    for (const userName of userNames) {
+      const createResponse = await agent.post(baseURL).send({ userName });
+
+      expect(createResponse.status).toBe(201);
+      ids.push(createResponse.body.id);
+    }
+
+    const ascending = await agent
+      .get(baseURL)
+      .query({ filter: 'userName sw "sortUser"', sortBy: "userName" });
+
+    expect(ascending.status).toBe(200);
+    expect(ascending.body.Resources.map((user) => user.userName)).toEqual([
+      "sortUserA",
+      "sortUserB",
+      "sortUserC",
+    ]);
+
+    const descending = await agent
+      .get(baseURL)
+      .query({ filter: 'userName sw "sortUser"', sortBy: "userName", sortOrder: "descending", startIndex: 1, count: 2 });
+
+    expect(descending.status).toBe(200);
+    expect(descending.body.totalResults).toBe(3);
+    expect(descending.body.Resources.map((user) => user.userName)).toEqual([
+      "sortUserC",
+      "sortUserB",
+    ]);
+
+    for (const sortBy of ["emails", "emails.value"]) {
+      const complexSort = await agent.get(baseURL).query({ filter: 'userName sw "sortUser"', sortBy });
+
+      expect(complexSort.status).toBe(200);
+      expect(complexSort.body.totalResults).toBe(3);
+    }
+
+    const invalidSort = await agent.get(baseURL).query({ sortBy: "nonExistingAttribute" });
+
+    expect(invalidSort.status).toBe(400);
+
+    for (const id of ids) {
+      const deleteResponse = await agent.delete(`${baseURL}/${id}`);
+
+      expect(deleteResponse.status).toBe(204);
+    }
+  });
+
+  it("should return the groups of each user and the members of each group", async () => {
+    const userIds = [];
+    for (const userName of ["batchUserA", "batchUserB"]) {
+      const createResponse = await agent.post(baseURL).send({ userName });
+
+      expect(createResponse.status).toBe(201);
+      userIds.push(createResponse.body.id);
+    }
+    const groupIds = [];
+    for (const displayName of ["Batch Group 1", "Batch Group 2"]) {
+      const createResponse = await agent.post("/Groups").send({ displayName });
+
+      expect(createResponse.status).toBe(201);
+      groupIds.push(createResponse.body.id);
+    }
+    for (const groupId of groupIds) {
+      const patchResponse = await agent.patch(`/Groups/${groupId}`).send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations: [{ op: "add", path: "members", value: userIds.map((value) => ({ value })) }],
+      });
+
+      expect(patchResponse.status).toBe(200);
+    }
+
+    const usersResponse = await agent
+      .get(baseURL)
+      .query({ filter: 'userName sw "batchUser"', sortBy: "userName" });
+
+    expect(usersResponse.status).toBe(200);
+    expect(usersResponse.body.Resources).toHaveLength(2);
+    for (const user of usersResponse.body.Resources) {
+      expect(user.groups).toEqual(
+        expect.arrayContaining([
+          { value: groupIds[0], display: "Batch Group 1", type: "direct" },
+          { value: groupIds[1], display: "Batch Group 2", type: "direct" },
+        ])
+      );
+    }
+
+    const groupsResponse = await agent
+      .get("/Groups")
+      .query({ filter: 'displayName sw "Batch Group"' });
+
+    expect(groupsResponse.status).toBe(200);
+    expect(groupsResponse.body.Resources).toHaveLength(2);
+    for (const group of groupsResponse.body.Resources) {
+      expect(group.members).toEqual(
+        expect.arrayContaining([
+          { value: userIds[0], display: "batchUserA", type: "User" },
+          { value: userIds[1], display: "batchUserB", type: "User" },
+        ])
+      );
+    }
+
+    for (const url of [...groupIds.map((id) => `/Groups/${id}`), ...userIds.map((id) => `${baseURL}/${id}`)]) {
+      const deleteResponse = await agent.delete(url);
+
+      expect(deleteResponse.status).toBe(204);
+    }
+  });
+
+  it("should return users modified since a given time (delta sync)", async () => {
+    const response = await agent
+      .get(baseURL)
+      .query({ filter: 'meta.lastModified gt "2000-01-01T00:00:00Z"' });
+
+    expect(response.status).toBe(200);
+    for (const user of response.body.Resources) {
+      expect(user.meta).toHaveProperty("lastModified");
+      expect(user.meta).toHaveProperty("version");
+    }
+  });
+
+  it("should return an error for an invalid filter (400)", async () => {
+    const response = await agent
+      .get(baseURL)
+      .query({ filter: 'userName eq "a" and (' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.scimType).toBe("invalidFilter");
+  });
+
+  it("should search users using POST /Users/.search", async () => {
+    const response = await agent.post(`${baseURL}/.search`).send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:SearchRequest"],
+      filter: 'userName co "a"',
+      attributes: ["userName"],
+      startIndex: 1,
+      count: 1,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.startIndex).toBe(1);
+    expect(response.body.itemsPerPage).toBeLessThanOrEqual(1);
+    for (const user of response.body.Resources) {
+      expect(user).toHaveProperty("userName");
+      expect(user).not.toHaveProperty("name");
+    }
+  });
+
+  it("should search all resource types using POST /.search", async () => {
+    const response = await agent.post("/.search").send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:SearchRequest"],
+      filter: 'meta.created pr',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalResults).toBe(response.body.Resources.length);
+    for (const resource of response.body.Resources) {
+      expect(["User", "Group"]).toContain(resource.meta.resourceType);
+    }
+  });
+
+  it("should return a page of all resource types using POST /.search", async () => {
+    const search = (paging) =>
+      agent.post("/.search").send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:SearchRequest"],
+        filter: "meta.created pr",
+        ...paging,
+      });
+    const all = await search({});
+    const page = await search({ startIndex: 2, count: 1 });
+
+    expect(page.status).toBe(200);
+    expect(page.body.totalResults).toBe(all.body.totalResults);
+    expect(page.body.itemsPerPage).toBe(Math.min(Math.max(all.body.totalResults - 1, 0), 1));
+    for (const resource of page.body.Resources) {
+      expect(all.body.Resources.map((item) => item.id)).toContain(resource.id);
+    }
+
+    const tooMany = await search({ startIndex: 201 }); // above maxResults
+
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.scimType).toBe("tooMany");
+  });
+
+  it("should return an error for a search request without SearchRequest schema (400)", async () => {
+    const response = await agent.post(`${baseURL}/.search`).send({ filter: 'userName co "a"' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.scimType).toBe("invalidSyntax");
+  });
+
+  it("should return the ServiceProviderConfig of the plugin capabilities", async () => {
+    const response = await agent.get("/ServiceProviderConfig");
+
+    expect(response.status).toBe(200);
+    expect(response.body.patch.supported).toBe(true);
+    expect(response.body.sort.supported).toBe(true);
+    expect(response.body.etag.supported).toBe(true);
+    expect(response.body.filter).toEqual({ supported: true, maxResults: 200 });
+    expect(response.body.authenticationSchemes[0]).toMatchObject({ type: "httpbasic", primary: true });
+  });
+
+  it("should return the resource types served by the plugin", async () => {
+    const response = await agent.get("/ResourceTypes");
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalResults).toBe(2);
+    expect(response.body.Resources.map((el) => el.name).sort()).toEqual(["Group", "User"]);
+  });
+
   it("should return an error for unauthorized access", async () => {
     const response = await invalidAgent.get(baseURL);
 
@@ -6,13 +6,11 @@ const baseURL = `/Users`;
 
 const exampleBody = {
   userName: "mLopes",
-  givenName: "Maria",
-  familyName: "Lopes",
+  name: { givenName: "Maria", familyName: "Lopes" },
 };
 
 const invalidExampleBody = {
-  givenName: "Maria",
-  familyName: "Lopes",
+  name: { givenName: "Maria", familyName: "Lopes" },
 };
 
 describe("POST /Users", () => {
@@ -22,6 +20,10 @@ describe("POST /Users", () => {
     const response = await agent.post(baseURL).send(exampleBody);
 
     expect(response.status).toBe(201);
+    expect(response.body.meta).toHaveProperty("created");
+    expect(response.body.meta).toHaveProperty("lastModified");
+    expect(response.body.meta).toHaveProperty("location");
+    expect(response.body.meta.version).toBe('W/"1"');
   });
 
   it("should return an error for invalid request body (400)", async () => {
@@ -49,4 +51,324 @@ describe("POST /Users", () => {
 
     expect(deleteResponse.status).toBe(204);
   });
+
+  it("should never return the password and verify it (200)", async () => {
+    const userName = "pLopes";
+    const createResponse = await agent
+      .post(baseURL)
+      .send({ userName, password: "Secret123!" });
+
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body).not.toHaveProperty("password");
+
+    const verifyResponse = await agent
+      .post(`${baseURL}/${userName}/verifyPassword`)
+      .send({ password: "Secret123!" });
+
+    expect(verifyResponse.status).toBe(200);
+    expect(verifyResponse.body.verified).toBe(true);
+
+    const wrongResponse = await agent
+      .post(`${baseURL}/${userName}/verifyPassword`)
+      .send({ password: "wrong" });
+
+    expect(wrongResponse.body.verified).toBe(false);
+
+    const unknownResponse = await agent
+      .post(`${baseURL}/not_found/verifyPassword`)
+      .send({ password: "wrong" });
+
+    expect(unknownResponse.status).toBe(wrongResponse.status);
+    expect(unknownResponse.body).toEqual(wrongResponse.body);
+
+    const deleteResponse = await agent.delete(`${baseURL}/${userName}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should limit failed password verifications of a user (429)", async () => {
+    const userName = "rLopes";
+    const createResponse = await agent
+      .post(baseURL)
+      .send({ userName, password: "Secret123!" });
+
+    expect(createResponse.status).toBe(201);
+
+    for (let i = 0; i < 5; i++) {
+      const wrongResponse = await agent
+        .post(`${baseURL}/${userName}/verifyPassword`)
+        .send({ password: "wrong" });
+
+      expect(wrongResponse.status).toBe(200);
+      expect(wrongResponse.body.verified).toBe(false);
+    }
+
+    const limitedResponse = await agent
+      .post(`${baseURL}/${userName}/verifyPassword`)
+      .send({ password: "Secret123!" });
+
+    expect(limitedResponse.status).toBe(429);
+    expect(limitedResponse.headers).toHaveProperty("retry-after");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${userName}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should store the enterprise extension and resolve the manager (201)", async () => {
+    const enterprise = "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User";
+    const managerResponse = await agent
+      .post(baseURL)
+      .send({ userName: "eManager", displayName: "Eva Manager" });
+
+    expect(managerResponse.status).toBe(201);
+
+    const createResponse = await agent.post(baseURL).send({
+      userName: "eLopes",
+      [enterprise]: {
+        employeeNumber: "701984",
+        department: "Tour Operations",
+        manager: { value: managerResponse.body.id },
+      },
+    });
+
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.schemas).toContain(enterprise);
+    expect(createResponse.body[enterprise].department).toBe("Tour Operations");
+    expect(createResponse.body[enterprise].manager).toEqual({
+      value: managerResponse.body.id,
+      displayName: "Eva Manager",
+    });
+
+    const filterResponse = await agent
+      .get(baseURL)
+      .query({
+        filter: `${enterprise}:manager.value eq "${managerResponse.body.id}" and ${enterprise}:department sw "Tour"`,
+      });
+
+    expect(filterResponse.status).toBe(200);
+    expect(filterResponse.body.Resources.map((user) => user.id)).toEqual([createResponse.body.id]);
+
+    const invalidResponse = await agent.post(baseURL).send({
+      userName: "eInvalid",
+      [enterprise]: { manager: { value: "noSuchUser" } },
+    });
+
+    expect(invalidResponse.status).toBe(400);
+    expect(invalidResponse.body.scimType).toBe("invalidValue");
+
+    // Azure AD sends the manager as a string, with and without PATCH path
+    await agent.post(baseURL).send({ userName: "eAzureManager", displayName: "Ana Manager" });
+    const azureManager = await agent.get(`${baseURL}/eAzureManager`);
+    for (const [Operations, manager] of [
+      [
+        [{ op: "replace", path: `${enterprise}:manager`, value: azureManager.body.id }],
+        { value: azureManager.body.id, displayName: "Ana Manager" },
+      ],
+      [
+        [{ op: "replace", value: { [`${enterprise}:manager`]: managerResponse.body.id } }],
+        { value: managerResponse.body.id, displayName: "Eva Manager" },
+      ],
+    ]) {
+      const patchResponse = await agent.patch(`${baseURL}/${createResponse.body.id}`).send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations,
+      });
+
+      expect(patchResponse.status).toBe(200);
+      expect(patchResponse.body[enterprise].manager).toEqual(manager);
+    }
+
+    for (const userName of ["eLopes", "eAzureManager", "eManager"]) {
+      const deleteResponse = await agent.delete(`${baseURL}/${userName}`);
+
+      expect(deleteResponse.status).toBe(204);
+    }
+  });
+
+  it("should keep the id when the user is renamed (200)", async () => {
+    const createResponse = await agent.post(baseURL).send({ userName: "rLopes" });
+
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.id).not.toBe("rLopes");
+
+    const renameResponse = await agent.patch(`${baseURL}/${createResponse.body.id}`).send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+      Operations: [{ op: "replace", path: "userName", value: "rLopesRenamed" }],
+    });
+
+    expect(renameResponse.status).toBe(200);
+    expect(renameResponse.body.id).toBe(createResponse.body.id);
+    expect(renameResponse.body.userName).toBe("rLopesRenamed");
+
+    // compatibility.userNameAsId - lookup by the userName based id of previous versions
+    const legacyResponse = await agent.get(`${baseURL}/rLopesRenamed`);
+
+    expect(legacyResponse.status).toBe(200);
+    expect(legacyResponse.body.id).toBe(createResponse.body.id);
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createResponse.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should keep the id when the user is renamed using PUT (200)", async () => {
+    const createResponse = await agent.post(baseURL).send({ userName: "pLopes" });
+
+    expect(createResponse.status).toBe(201);
+
+    const renameResponse = await agent
+      .put(`${baseURL}/${createResponse.body.id}`)
+      .send({ userName: "pLopesRenamed" });
+
+    expect(renameResponse.status).toBe(200);
+    expect(renameResponse.body.id).toBe(createResponse.body.id);
+    expect(renameResponse.body.userName).toBe("pLopesRenamed");
+
+    const getResponse = await agent.get(`${baseURL}/${createResponse.body.id}`);
+
+    expect(getResponse.body.userName).toBe("pLopesRenamed");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createResponse.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should store externalId and reject a duplicate (409)", async () => {
+    const createResponse = await agent
+      .post(baseURL)
+      .send({ userName: "xLopes", externalId: "ext-xLopes" });
+
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.externalId).toBe("ext-xLopes");
+
+    const filterResponse = await agent.get(`${baseURL}?filter=externalId eq "ext-xLopes"`);
+
+    expect(filterResponse.status).toBe(200);
+    expect(filterResponse.body.totalResults).toBe(1);
+    expect(filterResponse.body.Resources[0].id).toBe(createResponse.body.id);
+
+    const duplicateResponse = await agent
+      .post(baseURL)
+      .send({ userName: "xLopes2", externalId: "ext-xLopes" });
+
+    expect(duplicateResponse.status).toBe(409);
+    expect(duplicateResponse.body.scimType).toBe("uniqueness");
+
+    const putResponse = await agent
+      .put(`${baseURL}/${createResponse.body.id}`)
+      .send({ userName: "xLopes", externalId: "ext-xLopes-put" });
+
+    expect(putResponse.status).toBe(200);
+    expect(putResponse.body.externalId).toBe("ext-xLopes-put");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createResponse.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should reject a duplicate externalId of concurrent requests (409)", async () => {
+    const responses = await Promise.all(
+      ["cLopes1", "cLopes2", "cLopes3"].map((userName) =>
+        agent.post(baseURL).send({ userName, externalId: "ext-cLopes" })
+      )
+    );
+
+    expect(responses.map((response) => response.status).sort()).toEqual([201, 409, 409]);
+
+    const created = responses.find((response) => response.status === 201);
+    const deleteResponse = await agent.delete(`${baseURL}/${created.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should reject bodies not matching the schema (400)", async () => {
+    const unknownResponse = await agent
+      .post(baseURL)
+      .send({ userName: "vLopes", favoriteColor: "blue" });
+
+    expect(unknownResponse.status).toBe(400);
+    expect(unknownResponse.body.scimType).toBe("invalidSyntax");
+
+    const typeResponse = await agent
+      .post(baseURL)
+      .send({ userName: "vLopes", emails: [{ value: "maria@example.com", type: "mobile" }] });
+
+    expect(typeResponse.status).toBe(400);
+    expect(typeResponse.body.scimType).toBe("invalidValue");
+    expect(typeResponse.body.detail).toContain("emails[0].type");
+
+    const patchResponse = await agent.patch(`${baseURL}/vLopes`).send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+      Operations: [{ op: "replace", path: "active", value: "yes" }],
+    });
+
+    expect(patchResponse.status).toBe(400);
+    expect(patchResponse.body.scimType).toBe("invalidValue");
+
+    const externalIdOnlyResponse = await agent.post(baseURL).send({ externalId: "ext-vLopes" });
+
+    expect(externalIdOnlyResponse.status).toBe(400);
+    expect(externalIdOnlyResponse.body.scimType).toBe("invalidValue");
+    expect(externalIdOnlyResponse.body.detail).toContain("userName is required");
+  });
+
+  it("should run bulk operations resolving bulkId references (200)", async () => {
+    const response = await agent.post("/Bulk").send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"],
+      Operations: [
+        {
+          method: "PATCH",
+          path: "/Users/bulkId:bLopes",
+          data: {
+            schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+            Operations: [{ op: "replace", path: "displayName", value: "Bruno Lopes" }],
+          },
+        },
+        { method: "POST", path: "/Users", bulkId: "bLopes", data: { userName: "bLopes" } },
+        { method: "DELETE", path: "/Users/bulkId:unknown" },
+      ],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.schemas).toEqual(["urn:ietf:params:scim:api:messages:2.0:BulkResponse"]);
+    const [patched, created, unresolved] = response.body.Operations;
+    expect(created).toMatchObject({ method: "POST", bulkId: "bLopes", status: "201" });
+    expect(patched).toMatchObject({ method: "PATCH", status: "200", location: created.location });
+    expect(unresolved.status).toBe("409");
+    expect(unresolved.response.scimType).toBe("invalidValue");
+
+    const userResponse = await agent.get(new URL(created.location).pathname);
+
+    expect(userResponse.body.displayName).toBe("Bruno Lopes");
+
+    // failOnErrors - the second operation is not run after the version mismatch
+    const failResponse = await agent.post("/Bulk").send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"],
+      failOnErrors: 1,
+      Operations: [
+        { method: "DELETE", path: `/Users/${userResponse.body.id}`, version: 'W/"0"' },
+        { method: "DELETE", path: `/Users/${userResponse.body.id}` },
+      ],
+    });
+
+    expect(failResponse.status).toBe(200);
+    expect(failResponse.body.Operations.map((op) => op.status)).toEqual(["412"]);
+
+    const deleteResponse = await agent.delete(`${baseURL}/${userResponse.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should reject bulk requests exceeding maxOperations (413)", async () => {
+    const config = await agent.get("/ServiceProviderConfig");
+    const { maxOperations } = config.body.bulk;
+    const response = await agent.post("/Bulk").send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"],
+      Operations: Array.from({ length: maxOperations + 1 }, () => ({ method: "DELETE", path: "/Users/not_found" })),
+    });
+
+    expect(config.body.bulk.supported).toBe(true);
+    expect(response.status).toBe(413);
+  });
 });
@@ -6,13 +6,12 @@ const baseURL = `/Users`;
 
 const createBody = {
   userName: "updateUser",
-  givenName: "Maria",
-  familyName: "Lopes",
+  name: { givenName: "Maria", familyName: "Lopes" },
 };
 
 const updateBody = {
-  givenName: "Maria",
-  familyName: "Lopes",
+  userName: "updateUser",
+  name: { givenName: "Maria", familyName: "Lopes" },
 };
 
 describe("PUT /Users/${id}", () => {
@@ -34,6 +33,189 @@ describe("PUT /Users/${id}", () => {
     expect(deleteResponse.status).toBe(204);
   });
 
+  it("should reject an update based on a stale version (412)", async () => {
+    const createdUser = await agent.post(baseURL).send(createBody);
+    const etag = createdUser.headers.etag;
+
+    expect(etag).toBe('W/"1"');
+
+    const notModified = await agent
+      .get(`${baseURL}/${createdUser.body.userName}`)
+      .set("If-None-Match", etag);
+
+    expect(notModified.status).toBe(304);
+
+    const response = await agent
+      .put(`${baseURL}/${createdUser.body.userName}`)
+      .set("If-Match", etag)
+      .send(updateBody);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('W/"2"');
+
+    const staleResponse = await agent
+      .put(`${baseURL}/${createdUser.body.userName}`)
+      .set("If-Match", etag)
+      .send(updateBody);
+
+    expect(staleResponse.status).toBe(412);
+
+    const deleteResponse = await agent.delete(
+      `${baseURL}/${createdUser.body.userName}`
+    );
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should keep multiple emails and patch individual entries (200)", async () => {
+    const createdUser = await agent.post(baseURL).send({
+      ...createBody,
+      emails: [
+        { value: "maria@work.example.com", type: "work", primary: true },
+        { value: "maria@home.example.com", type: "home" },
+      ],
+    });
+
+    expect(createdUser.body.emails).toHaveLength(2);
+
+    const response = await agent
+      .patch(`${baseURL}/${createdUser.body.userName}`)
+      .send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations: [
+          { op: "remove", path: 'emails[type eq "home"]' },
+          {
+            op: "add",
+            path: "emails",
+            value: [{ value: "maria@other.example.com", type: "other" }],
+          },
+        ],
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.emails.map((email) => email.type).sort()).toEqual([
+      "other",
+      "work",
+    ]);
+
+    const deleteResponse = await agent.delete(
+      `${baseURL}/${createdUser.body.userName}`
+    );
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should patch value filter paths and reject paths without target (400)", async () => {
+    const createdUser = await agent.post(baseURL).send({
+      ...createBody,
+      emails: [
+        { value: "maria@work.example.com", type: "work" },
+        { value: "maria@home.example.com", type: "home" },
+      ],
+    });
+
+    const patch = (Operations) =>
+      agent.patch(`${baseURL}/${createdUser.body.id}`).send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations,
+      });
+
+    const response = await patch([
+      { op: "replace", path: 'emails[type eq "work"].value', value: "maria@new.example.com" },
+      { op: "replace", path: "urn:ietf:params:scim:schemas:core:2.0:User:name.givenName", value: "Mia" },
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.name.givenName).toBe("Mia");
+    expect(response.body.emails.find((email) => email.type === "work").value).toBe("maria@new.example.com");
+    expect(response.body.emails.find((email) => email.type === "home").value).toBe("maria@home.example.com");
+
+    const noTargetResponse = await patch([
+      { op: "replace", path: 'addresses[type eq "home"]', value: { streetAddress: "Main Street 1" } },
+    ]);
+
+    expect(noTargetResponse.status).toBe(400);
+    expect(noTargetResponse.body.scimType).toBe("noTarget");
+
+    const invalidPathResponse = await patch([{ op: "replace", path: "emails[type eq", value: "x" }]);
+
+    expect(invalidPathResponse.status).toBe(400);
+    expect(invalidPathResponse.body.scimType).toBe("invalidPath");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createdUser.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should remove sub-attributes of value filter paths (200)", async () => {
+    const createdUser = await agent.post(baseURL).send({
+      ...createBody,
+      emails: [
+        { value: "maria@work.example.com", type: "work", primary: true },
+        { value: "maria@home.example.com", type: "home" },
+      ],
+    });
+
+    expect(createdUser.status).toBe(201);
+
+    const patch = (Operations) =>
+      agent.patch(`${baseURL}/${createdUser.body.id}`).send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations,
+      });
+
+    const primaryResponse = await patch([{ op: "remove", path: 'emails[type eq "work"].primary' }]);
+
+    expect(primaryResponse.status).toBe(200);
+    expect(primaryResponse.body.emails.find((email) => email.type === "work")).toEqual({
+      value: "maria@work.example.com",
+      type: "work",
+    });
+
+    const valueResponse = await patch([{ op: "remove", path: 'emails[type eq "home"].value' }]);
+
+    expect(valueResponse.status).toBe(200);
+    expect(valueResponse.body.emails).toEqual([{ value: "maria@work.example.com", type: "work" }]);
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createdUser.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
+  it("should ignore readOnly attributes and reject patching them (400)", async () => {
+    const createdUser = await agent.post(baseURL).send({
+      ...createBody,
+      password: "Secret123!",
+      meta: { created: "2000-01-01T00:00:00Z" },
+    });
+
+    expect(createdUser.status).toBe(201);
+    expect(createdUser.body.meta.created).not.toBe("2000-01-01T00:00:00Z");
+    expect(createdUser.body).not.toHaveProperty("password");
+
+    const response = await agent
+      .put(`${baseURL}/${createdUser.body.id}`)
+      .send({ ...updateBody, id: "otherId", groups: [{ value: "Admins" }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(createdUser.body.id);
+    expect(response.body).not.toHaveProperty("password");
+
+    const patchResponse = await agent
+      .patch(`${baseURL}/${createdUser.body.id}`)
+      .send({
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+        Operations: [{ op: "replace", path: "meta.created", value: "2000-01-01T00:00:00Z" }],
+      });
+
+    expect(patchResponse.status).toBe(400);
+    expect(patchResponse.body.scimType).toBe("mutability");
+
+    const deleteResponse = await agent.delete(`${baseURL}/${createdUser.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
   // it("should return an error for invalid request body (400)", async () => {
   //   const response = await agent.put("/Users/1234567890").send(exampleBody);
 
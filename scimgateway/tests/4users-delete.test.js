@@ -18,6 +18,58 @@ describe("DELETE /Users${id}", () => {
     expect(response.status).toBe(204);
   });
 
+  it("should remove the deleted user from all groups (204)", async () => {
+    const createdUser = await agent.post(baseURL).send({
+      userName: "toDeleteMember",
+    });
+    const userId = createdUser.body.userName;
+    const createdGroup = await agent
+      .post("/Groups")
+      .send({ displayName: "toDeleteMemberGroup" });
+    const groupId = createdGroup.body.id;
+
+    await agent.patch(`/Groups/${groupId}`).send({
+      schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+      Operations: [{ op: "add", path: "members", value: [{ value: userId }] }],
+    });
+
+    const response = await agent.delete(`${baseURL}/${userId}`);
+
+    expect(response.status).toBe(204);
+
+    const groupResponse = await agent.get(`/Groups/${groupId}`);
+    const members = groupResponse.body.members || [];
+
+    expect(members.some((member) => member.value === userId)).toBe(false);
+
+    await agent.delete(`/Groups/${groupId}`);
+  });
+
+  it("should allow re-creating a deleted user having the same userName and externalId (201)", async () => {
+    const body = { userName: "toRecreate", externalId: "toRecreate-ext" };
+    const createdUser = await agent.post(baseURL).send(body);
+
+    expect(createdUser.status).toBe(201);
+
+    const response = await agent.delete(`${baseURL}/${createdUser.body.id}`);
+
+    expect(response.status).toBe(204);
+
+    const getResponse = await agent.get(`${baseURL}/${createdUser.body.id}`);
+
+    expect(getResponse.status).toBe(404);
+
+    const recreatedUser = await agent.post(baseURL).send(body);
+
+    expect(recreatedUser.status).toBe(201);
+    expect(recreatedUser.body.userName).toBe(body.userName);
+    expect(recreatedUser.body.externalId).toBe(body.externalId);
+
+    const deleteResponse = await agent.delete(`${baseURL}/${recreatedUser.body.id}`);
+
+    expect(deleteResponse.status).toBe(204);
+  });
+
   // it("should return an error for invalid request (400)", async () => {
   //   const response = await agent.delete("/Users/abc123"); // ID inválido
 
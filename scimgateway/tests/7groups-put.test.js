@@ -36,3 +36,58 @@ describe("PUT /Groups/{id}", () => {
   //   // You can add specific error message expectations based on your implementation
   // });
 });
+
+describe("PATCH /Groups/{id}", () => {
+  const agent = request.agent(app).auth("gwadmin", "password");
+  const patchMembers = (members) => ({
+    schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+    Operations: [{ op: "add", path: "members", value: members }],
+  });
+
+  it("should resolve nested groups and reject circular membership", async () => {
+    const userName = "nLopes";
+    await agent.post("/Users").send({ userName });
+    const outer = await agent.post(baseURL).send({ displayName: "Nested Outer" });
+    const inner = await agent.post(baseURL).send({ displayName: "Nested Inner" });
+
+    expect(outer.status).toBe(201);
+    expect(inner.status).toBe(201);
+
+    const nestResponse = await agent
+      .patch(`${baseURL}/${outer.body.id}`)
+      .send(patchMembers([{ value: inner.body.id, type: "Group" }]));
+
+    expect(nestResponse.status).toBe(200);
+
+    const memberResponse = await agent
+      .patch(`${baseURL}/${inner.body.id}`)
+      .send(patchMembers([{ value: userName }]));
+
+    expect(memberResponse.status).toBe(200);
+
+    const userResponse = await agent.get(`/Users/${userName}`);
+
+    expect(userResponse.body.groups).toEqual([
+      { value: inner.body.id, display: "Nested Inner", type: "direct" },
+      { value: outer.body.id, display: "Nested Outer", type: "indirect" },
+    ]);
+
+    const putResponse = await agent.put(`/Users/${userName}`).send({ userName });
+
+    expect(putResponse.status).toBe(200);
+    expect(putResponse.body.groups).toEqual(userResponse.body.groups);
+
+    const cycleResponse = await agent
+      .patch(`${baseURL}/${inner.body.id}`)
+      .send(patchMembers([{ value: outer.body.id, type: "Group" }]));
+
+    expect(cycleResponse.status).toBe(400);
+    expect(cycleResponse.body.scimType).toBe("invalidValue");
+
+    for (const url of [`${baseURL}/${outer.body.id}`, `${baseURL}/${inner.body.id}`, `/Users/${userName}`]) {
+      const deleteResponse = await agent.delete(url);
+
+      expect(deleteResponse.status).toBe(204);
+    }
+  });
+});
@@ -0,0 +1,28 @@
+const { getTokenClient } = require("../lib/utils/authClient");
+
+describe("authenticated client", () => {
+  it("should identify token authenticated clients by the claims of the verified token", () => {
+    const azure = { iss: "https://sts.windows.net/tenant-1/", tid: "tenant-1", sub: "user-1" };
+
+    expect(getTokenClient("bearerJwtAzure", azure)).toBe("bearerJwtAzure:tenant-1");
+    expect(getTokenClient("bearerJwtAzure", { iss: azure.iss })).toBe("bearerJwtAzure:https://sts.windows.net/tenant-1/");
+    expect(getTokenClient("bearerJwt", { iss: "https://idp.example.com", sub: "hr-app" })).toBe(
+      "bearerJwt:https://idp.example.com:hr-app"
+    );
+    expect(getTokenClient("bearerOAuth", { client_id: "hr-app", client_secret: "secret" })).toBe("bearerOAuth:hr-app");
+  });
+
+  it("should give different clients of the same token method their own scope", () => {
+    const clients = [
+      getTokenClient("bearerJwtAzure", { tid: "tenant-1" }),
+      getTokenClient("bearerJwtAzure", { tid: "tenant-2" }),
+      getTokenClient("bearerJwt", { iss: "https://idp.example.com", sub: "hr-app" }),
+      getTokenClient("bearerJwt", { iss: "https://idp.example.com", sub: "crm-app" }),
+      getTokenClient("bearerOAuth", { client_id: "hr-app" }),
+    ];
+
+    expect(new Set(clients).size).toBe(clients.length);
+    expect(clients).not.toContain("");
+    expect(() => getTokenClient("basic", {})).toThrow('unsupported token authentication method "basic"');
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  splitCustomAttributes,
+  mergeCustomAttributes,
+  pickCustomAttributes,
+} = require("../lib/utils/customSchema");
+
+describe("custom schema attributes", () => {
+  const definitions = [
+    { name: "costCenter", type: "string", canonicalValues: ["Sales", "Support"] },
+    { name: "badgeNumber", type: "integer" },
+    { name: "remote", type: "boolean" },
+    { name: "skills", type: "string", multiValued: true },
+    {
+      name: "office",
+      type: "complex",
+      subAttributes: [
+        { name: "building", type: "string" },
+        { name: "floor", type: "integer" },
+      ],
+    },
+  ];
+
+  it("should split and validate the custom attributes of a request", () => {
+    const [rest, custom] = splitCustomAttributes(
+      {
+        userName: "jdoe",
+        costcenter: "sales",
+        badgeNumber: "42",
+        remote: "true",
+        skills: ["scim"],
+        office: { Building: "B1", floor: 3 },
+      },
+      definitions
+    );
+
+    expect(rest).toEqual({ userName: "jdoe" });
+    expect(custom).toEqual({
+      costCenter: "sales",
+      badgeNumber: 42,
+      remote: true,
+      skills: ["scim"],
+      office: { building: "B1", floor: 3 },
+    });
+  });
+
+  it("should reject values not matching the custom schema (400)", () => {
+    const invalid = [
+      [{ costCenter: "Finance" }, "must be one of: Sales, Support"],
+      [{ badgeNumber: 4.2 }, "badgeNumber must be integer"],
+      [{ remote: "yes" }, "remote must be boolean"],
+      [{ skills: "scim" }, "skills must be an array of string"],
+      [{ office: { room: "12" } }, "office.room is not defined by the custom schema"],
+    ];
+    for (const [scimObj, message] of invalid) {
+      expect(() => splitCustomAttributes(scimObj, definitions)).toThrow(message);
+    }
+  });
+
+  it("should round-trip custom attributes merged into the stored ones", () => {
+    const [, created] = splitCustomAttributes({ costCenter: "Sales", office: { building: "B1", floor: 3 } }, definitions);
+    const stored = mergeCustomAttributes({}, created);
+    const [, modified] = splitCustomAttributes({ costCenter: "", office: { floor: 4, building: null } }, definitions);
+    const updated = mergeCustomAttributes(JSON.parse(JSON.stringify(stored)), modified);
+
+    expect(pickCustomAttributes(stored, definitions)).toEqual({ costCenter: "Sales", office: { building: "B1", floor: 3 } });
+    expect(pickCustomAttributes(updated, definitions)).toEqual({ office: { floor: 4 } });
+  });
+
+  it("should only return stored attributes defined by the custom schema", () => {
+    const stored = { userName: "admin", id: "other", active: true, badgeNumber: 42, removedFromSchema: "x" };
+
+    expect(pickCustomAttributes(stored, definitions)).toEqual({ badgeNumber: 42 });
+    expect(pickCustomAttributes(stored, [])).toEqual({});
+  });
+});
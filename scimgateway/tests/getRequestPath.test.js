@@ -0,0 +1,46 @@
+const { getRequestPath } = require("../lib/utils/getRequestPath");
+const { notifications } = require("../lib/adapters/data/notifications");
+const { fetchNotification } = require("../lib/adapters/functions/notifications");
+
+describe("interceptor and notification request path", () => {
+  it("should return the first url segment of a request", () => {
+    expect(getRequestPath("/Users")).toBe("users");
+    expect(getRequestPath("/Groups/123?attributes=displayName")).toBe("groups");
+    expect(getRequestPath("/Users/.search")).toBeNull();
+    expect(getRequestPath("/.search")).toBeNull();
+    expect(getRequestPath("/client1/Users/.search")).toBeNull();
+  });
+
+  it("should not send a user created notification for a search", async () => {
+    const fetch = global.fetch;
+    const sent = [];
+    global.fetch = async (url, options) => {
+      sent.push(JSON.parse(options.body).info);
+      return { status: 200 };
+    };
+    notifications.push({
+      port: "8880",
+      type: "onSuccess",
+      allowed_requests: [{ method: "POST", path: "users" }],
+      url: "http://localhost:9999/created",
+      method: "POST",
+      auth: {},
+    });
+    const ctx = (url) => ({
+      request: { header: { host: "localhost:8880" }, method: "POST", url, body: { userName: "jdoe" } },
+    });
+    try {
+      await expect(fetchNotification(ctx("/Users/.search"), "onSuccess", {}, () => undefined)).resolves.toBe(true);
+      await expect(fetchNotification(ctx("/.search"), "onSuccess", {}, () => undefined)).resolves.toBe(true);
+
+      expect(sent).toEqual([]);
+
+      await expect(fetchNotification(ctx("/Users"), "onSuccess", {}, () => undefined)).resolves.toBe(true);
+
+      expect(sent).toEqual([{ url: "/Users", method: "POST", type: "onSuccess", payload: undefined }]);
+    } finally {
+      global.fetch = fetch;
+      notifications.length = 0;
+    }
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  migrateContactFields,
+  migrateLegacyUsers,
+  migrateLegacyGroupMembers,
+} = require("../lib/utils/legacyData");
+
+describe("legacy data migration", () => {
+  it("should move the flat contact fields into the composite arrays", () => {
+    const { set, unset } = migrateContactFields({
+      username: "jdoe",
+      email: "jdoe@example.com",
+      homePhone: "555-0100",
+      postalCode: "0150",
+      streetAddress: "Main Street 1",
+    });
+
+    expect(set).toEqual({
+      emails: [{ type: "work", value: "jdoe@example.com" }],
+      phoneNumbers: [{ type: "home", value: "555-0100" }],
+      addresses: [{ type: "work", postalCode: "0150", streetAddress: "Main Street 1" }],
+    });
+    expect(unset).toEqual({ email: "", homePhone: "", postalCode: "", streetAddress: "" });
+  });
+
+  it("should keep values already stored in the composite arrays", () => {
+    const { set, unset } = migrateContactFields({
+      email: "old@example.com",
+      emails: [{ type: "work", value: "new@example.com" }],
+      addresses: [{ type: "work", locality: "Oslo" }],
+      postalCode: "0150",
+      homePhone: null,
+    });
+
+    expect(set).toEqual({
+      emails: [{ type: "work", value: "new@example.com" }],
+      addresses: [{ type: "work", locality: "Oslo", postalCode: "0150" }],
+    });
+    expect(unset).toEqual({ email: "", postalCode: "", homePhone: "" });
+  });
+
+  it("should migrate the users having legacy fields in batches", async () => {
+    const docs = [
+      { _id: { $oid: "1" }, email: "a@example.com" },
+      { _id: { $oid: "2" }, homePhone: "" },
+      { _id: { $oid: "3" }, username: "current" },
+    ];
+    const commands = [];
+    const prisma = {
+      $runCommandRaw: async (command) => {
+        commands.push(command);
+        if (command.find) {
+          const legacy = docs.filter((doc) => ["email", "homePhone"].some((field) => field in doc));
+          return { cursor: { firstBatch: legacy.slice(0, command.limit) } };
+        }
+        const doc = docs.find((item) => item._id === command.updates[0].q._id);
+        for (const field in command.updates[0].u.$unset) delete doc[field];
+        Object.assign(doc, command.updates[0].u.$set);
+        return { n: 1 };
+      },
+    };
+
+    await expect(migrateLegacyUsers(prisma, "users", 1)).resolves.toBe(2);
+    expect(docs).toEqual([
+      { _id: { $oid: "1" }, emails: [{ type: "work", value: "a@example.com" }] },
+      { _id: { $oid: "2" } },
+      { _id: { $oid: "3" }, username: "current" },
+    ]);
+    expect(commands[0]).toMatchObject({ find: "users", limit: 1 });
+  });
+
+  it("should stop when a user is not migrated", async () => {
+    const prisma = {
+      $runCommandRaw: async (command) =>
+        command.find ? { cursor: { firstBatch: [{ _id: { $oid: "1" }, email: "a@example.com" }] } } : { n: 0 },
+    };
+
+    await expect(migrateLegacyUsers(prisma, "users")).rejects.toThrow("still has legacy fields");
+  });
+
+  it("should move the members of legacy groups into memberships", async () => {
+    const userA = "64f1a0000000000000000001";
+    const userB = "64f1a0000000000000000002";
+    const groups = [
+      { _id: { $oid: "64f1b0000000000000000001" }, name: "Admins", members: [userA, userB, "jdoe", "64f1a00000000000000000ff"] },
+      { _id: { $oid: "64f1b0000000000000000002" }, name: "Empty", members: [] },
+    ];
+    const memberships = [{ groupId: "64f1b0000000000000000001", userId: userB }];
+    const prisma = {
+      $runCommandRaw: async (command) => {
+        if (command.find) {
+          return { cursor: { firstBatch: groups.filter((doc) => "members" in doc).slice(0, command.limit) } };
+        }
+        delete groups.find((doc) => doc._id === command.updates[0].q._id).members;
+        return { n: 1 };
+      },
+      users: {
+        findMany: async ({ where }) => where.id.in.filter((id) => [userA, userB].includes(id)).map((id) => ({ id })),
+      },
+      memberships: {
+        findMany: async ({ where }) =>
+          memberships.filter((item) => item.groupId === where.groupId && where.userId.in.includes(item.userId)),
+        create: async ({ data }) => memberships.push(data),
+      },
+    };
+
+    const models = { groups: "groups", users: "users", memberships: "memberships" };
+
+    await expect(migrateLegacyGroupMembers(prisma, models)).resolves.toBe(2);
+    expect(groups.every((doc) => !("members" in doc))).toBe(true);
+    expect(memberships).toEqual([
+      { groupId: "64f1b0000000000000000001", userId: userB },
+      { groupId: "64f1b0000000000000000001", userId: userA },
+    ]);
+    await expect(migrateLegacyGroupMembers(prisma, models)).resolves.toBe(0);
+  });
+});
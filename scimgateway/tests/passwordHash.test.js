@@ -0,0 +1,26 @@
+const { hashPassword, verifyPassword, isPasswordHash } = require("../lib/utils/passwordHash");
+
+describe("password hashing", () => {
+  const options = { scrypt: { N: 1024 } };
+
+  it("should hash passwords having a random salt", async () => {
+    const hash = await hashPassword("secret", options);
+
+    expect(hash).toMatch(/^\$scrypt\$N=1024,r=8,p=1\$[^$]+\$[^$]+$/);
+    expect(isPasswordHash(hash)).toBe(true);
+    expect(await hashPassword("secret", options)).not.toBe(hash);
+    await expect(hashPassword("secret", { algorithm: "md5" })).rejects.toThrow('unsupported password hashing algorithm "md5"');
+  });
+
+  it("should verify passwords against hashes and legacy cleartext", async () => {
+    const hash = await hashPassword("secret", options);
+
+    expect(await verifyPassword("secret", hash)).toBe(true);
+    expect(await verifyPassword("Secret", hash)).toBe(false);
+    expect(isPasswordHash("secret")).toBe(false);
+    expect(await verifyPassword("secret", "secret")).toBe(true);
+    expect(await verifyPassword("secret", "other")).toBe(false);
+    expect(await verifyPassword("secret", undefined)).toBe(false);
+    expect(await verifyPassword(undefined, hash)).toBe(false);
+  });
+});
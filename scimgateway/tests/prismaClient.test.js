@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getDatasourceUrl,
+  trackInFlight,
+  drainInFlight,
+  getGeneratedProvider,
+} = require("../lib/utils/prismaClient");
+
+describe("Prisma client lifecycle", () => {
+  const pool = { connectionLimit: 10, poolTimeout: 20, connectTimeout: 5 };
+
+  it("should add pool settings to the connection string", () => {
+    expect(getDatasourceUrl("postgresql://db:5432/scim", pool)).toBe(
+      "postgresql://db:5432/scim?connection_limit=10&pool_timeout=20&connect_timeout=5"
+    );
+    expect(getDatasourceUrl("mongodb://db:27017/scim?replicaSet=rs0", pool)).toBe(
+      "mongodb://db:27017/scim?replicaSet=rs0&maxPoolSize=10&connectTimeoutMS=5000"
+    );
+  });
+
+  it("should keep pool settings already included in the connection string", () => {
+    expect(getDatasourceUrl("postgresql://db:5432/scim?connection_limit=3", pool)).toBe(
+      "postgresql://db:5432/scim?connection_limit=3&pool_timeout=20&connect_timeout=5"
+    );
+    expect(getDatasourceUrl("file:./scim.db", {})).toBe("file:./scim.db");
+    expect(getDatasourceUrl(undefined, pool)).toBeUndefined();
+  });
+
+  it("should drain the queries in progress on shutdown", async () => {
+    const prisma = { $use: (middleware) => (prisma.middleware = middleware) };
+    const inFlight = trackInFlight(prisma);
+    let finish;
+    const query = prisma.middleware({}, () => new Promise((resolve) => (finish = resolve)));
+
+    expect(inFlight()).toBe(1);
+
+    const drained = drainInFlight(inFlight, 1000, 5);
+    finish("row");
+
+    await expect(query).resolves.toBe("row");
+    await expect(drained).resolves.toBe(0);
+  });
+
+  it("should stop draining at the shutdown timeout", async () => {
+    const prisma = { $use: (middleware) => (prisma.middleware = middleware) };
+    const inFlight = trackInFlight(prisma);
+    prisma.middleware({}, () => new Promise(() => {}));
+
+    await expect(drainInFlight(inFlight, 20, 5)).resolves.toBe(1);
+  });
+
+  it("should return the provider of the schema the client was generated from", () => {
+    const clientDir = fs.mkdtempSync(path.join(os.tmpdir(), "prisma-client-"));
+    try {
+      expect(getGeneratedProvider(clientDir)).toBeUndefined();
+
+      fs.writeFileSync(
+        path.join(clientDir, "schema.prisma"),
+        'generator client {\n  provider = "prisma-client-js"\n}\n\ndatasource db {\n  provider = "sqlite"\n  url      = env("DATABASE_URL")\n}\n'
+      );
+
+      expect(getGeneratedProvider(clientDir)).toBe("sqlite");
+    } finally {
+      fs.rmSync(clientDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  generatePrismaSchema,
+  updatePrismaSchema,
+  checkPrismaSchema,
+} = require("../lib/utils/prismaSchema");
+
+describe("prisma schema generator", () => {
+  const endpoint = {
+    map: {
+      user: {
+        id: { mapTo: "id", type: "string" },
+        username: { mapTo: "userName", type: "string" },
+        externalId: { mapTo: "externalId", type: "string" },
+        active: { mapTo: "active", type: "boolean" },
+        emails: { mapTo: "emails", type: "complexArray" },
+        version: { mapTo: "meta.version", type: "number" },
+      },
+      group: {
+        id: { mapTo: "id", type: "string" },
+        name: { mapTo: "displayName", type: "string" },
+      },
+    },
+  };
+
+  it("should generate the models of the map", () => {
+    const mongodb = generatePrismaSchema(endpoint, "mongodb");
+
+    expect(mongodb).toContain('provider = "mongodb"');
+    expect(mongodb).toMatch(/model users \{[^}]*username\s+String\s+@unique/);
+    expect(mongodb).toMatch(/model users \{[^}]*@@index\(\[externalIdScope, externalId\]\)/);
+    expect(mongodb).toMatch(/type Email \{[^}]*primary Boolean\?/);
+
+    const postgresql = generatePrismaSchema(endpoint, "postgresql");
+
+    expect(postgresql).toMatch(/model users \{[^}]*@@unique\(\[externalIdScope, externalId\]\)/);
+    expect(postgresql).toMatch(/model Email \{[^}]*@@index\(\[userId\]\)/);
+    expect(postgresql).toMatch(/model memberships \{[^}]*@@unique\(\[groupId, userId\]\)/);
+    expect(() => generatePrismaSchema(endpoint, "oracle")).toThrow('unsupported provider "oracle"');
+  });
+
+  it("should keep the fields and block attributes not generated from the map", () => {
+    const existing = generatePrismaSchema(endpoint, "postgresql")
+      .replace("model users {", "model users {\n  legacy String?")
+      .replace(
+        "@@unique([externalIdScope, externalId])",
+        '@@index([externalIdScope,externalId])\n  @@index([active, username])\n  @@map("scim_users")'
+      );
+    const updated = updatePrismaSchema(existing, endpoint, "postgresql");
+    const users = updated.match(/model users \{[^}]*\}/)[0];
+
+    expect(users).toMatch(/legacy\s+String\?/);
+    expect(users).toContain("@@unique([externalIdScope, externalId])");
+    expect(users).not.toContain("@@index([externalIdScope,externalId])");
+    expect(users).toContain("@@index([active, username])");
+    expect(users).toContain('@@map("scim_users")');
+    expect(updatePrismaSchema(updated, endpoint, "postgresql")).toBe(updated);
+  });
+
+  it("should report mismatches between the map and the schema", () => {
+    const schema = generatePrismaSchema(endpoint, "sqlite");
+
+    expect(checkPrismaSchema(schema, endpoint, "sqlite")).toEqual([]);
+
+    const changed = schema
+      .replace(/username(\s+)String(\s+)@unique/, "username$1String$2")
+      .replace("@@unique([externalIdScope, externalId])", "");
+
+    expect(checkPrismaSchema(changed, endpoint, "sqlite")).toEqual([
+      "users.username is missing @unique",
+      "users is missing @@unique([externalIdScope, externalId])",
+    ]);
+    expect(checkPrismaSchema(schema, endpoint, "mysql")).toContain('datasource provider does not match "mysql"');
+  });
+});
@@ -0,0 +1,115 @@
+const { checkBulkRequest, runBulk } = require("../lib/utils/scimBulk");
+
+describe("scim bulk", () => {
+  const schemas = ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"];
+  const errorResponse = (status, err, scimType) => ({ status: String(status), scimType, detail: err.message });
+
+  // execute creates resources having id "id-<bulkId>" and records the operations run
+  const executor = (failing = []) => {
+    const executed = [];
+    const execute = async (op) => {
+      executed.push(op);
+      if (failing.includes(op.path)) return { status: 404, response: { detail: "not found" } };
+      if (op.method === "POST") {
+        const id = `id-${op.bulkId}`;
+        return { status: 201, id, location: `https://localhost${op.path}/${id}`, response: { id } };
+      }
+      return { status: op.method === "DELETE" ? 204 : 200 };
+    };
+    return { execute, executed };
+  };
+
+  it("should check the bulk request", () => {
+    const limits = { maxOperations: 2, maxPayloadSize: 100 };
+    const op = { method: "POST", path: "/Users", bulkId: "a", data: {} };
+
+    expect(() => checkBulkRequest({ schemas, Operations: [op] }, limits, 10, true)).not.toThrow();
+    expect(() => checkBulkRequest({ Operations: [op] }, limits, 10, true)).toThrow("must have schemas");
+    expect(() => checkBulkRequest({ schemas, Operations: [op, op, op] }, limits, 10, true)).toThrow("maxOperations (2)");
+    expect(() => checkBulkRequest({ schemas, Operations: [op] }, limits, 101, true)).toThrow("maxPayloadSize (100)");
+    expect(() => checkBulkRequest({ schemas, failOnErrors: 0, Operations: [op] }, limits, 10, true)).toThrow("failOnErrors");
+    expect(() => checkBulkRequest({ schemas, Operations: [op, op] }, limits, 10, true)).toThrow("duplicate bulkId a");
+  });
+
+  it("should resolve bulkId references and return the results in request order", async () => {
+    const { execute, executed } = executor();
+    const results = await runBulk(
+      {
+        Operations: [
+          { method: "POST", path: "/Groups", bulkId: "g", data: { members: [{ value: "bulkId:u" }] } },
+          { method: "PATCH", path: "/Users/bulkId:u", data: { Operations: [] } },
+          { method: "POST", path: "/Users", bulkId: "u", data: { userName: "u" } },
+        ],
+      },
+      execute,
+      errorResponse
+    );
+
+    expect(executed.map((op) => op.path)).toEqual(["/Users", "/Groups", "/Users/id-u"]);
+    expect(executed[1].data).toEqual({ members: [{ value: "id-u" }] });
+    expect(results).toEqual([
+      { method: "POST", bulkId: "g", location: "https://localhost/Groups/id-g", status: "201", response: { id: "id-g" } },
+      { method: "PATCH", status: "200" },
+      { method: "POST", bulkId: "u", location: "https://localhost/Users/id-u", status: "201", response: { id: "id-u" } },
+    ]);
+  });
+
+  it("should fail circular and unresolved bulkId references (409)", async () => {
+    const { execute, executed } = executor();
+    const results = await runBulk(
+      {
+        Operations: [
+          { method: "POST", path: "/Groups", bulkId: "a", data: { members: [{ value: "bulkId:b" }] } },
+          { method: "POST", path: "/Groups", bulkId: "b", data: { members: [{ value: "bulkId:a" }] } },
+          { method: "DELETE", path: "/Users/bulkId:unknown" },
+        ],
+      },
+      execute,
+      errorResponse
+    );
+
+    expect(executed).toEqual([]);
+    expect(results.map((result) => result.status)).toEqual(["409", "409", "409"]);
+    expect(results[0].response).toEqual({
+      status: "409",
+      scimType: "invalidValue",
+      detail: "bulkId b does not reference a created resource",
+    });
+    expect(results[1].response.detail).toBe("bulkId a does not reference a created resource");
+  });
+
+  it("should stop processing when failOnErrors is reached", async () => {
+    const { execute, executed } = executor(["/Users/1", "/Users/2"]);
+    const results = await runBulk(
+      {
+        failOnErrors: 2,
+        Operations: [
+          { method: "DELETE", path: "/Users/1" },
+          { method: "DELETE", path: "/Users/0" },
+          { method: "DELETE", path: "/Users/2" },
+          { method: "DELETE", path: "/Users/3" },
+        ],
+      },
+      execute,
+      errorResponse
+    );
+
+    expect(executed.map((op) => op.path)).toEqual(["/Users/1", "/Users/0", "/Users/2"]);
+    expect(results.map((result) => result.status)).toEqual(["404", "204", "404"]);
+  });
+
+  it("should fail invalid operations without executing them", async () => {
+    const { execute, executed } = executor();
+    const results = await runBulk(
+      { Operations: [{ method: "GET", path: "/Users/1" }, { method: "POST", path: "/Users", data: {} }] },
+      execute,
+      errorResponse
+    );
+
+    expect(executed).toEqual([]);
+    expect(results.map((result) => [result.status, result.response.scimType])).toEqual([
+      ["400", "invalidSyntax"],
+      ["400", "invalidSyntax"],
+    ]);
+  });
+});
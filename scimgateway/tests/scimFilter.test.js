@@ -0,0 +1,36 @@
+const { parseScimFilter, matchScimFilter } = require("../lib/utils/scimFilter");
+
+describe("scim filter", () => {
+  it("should parse logical, value path and not filters", () => {
+    expect(parseScimFilter('userName sw "J" and (emails[type eq "work"] or not (active eq false))')).toEqual({
+      type: "logical",
+      op: "and",
+      filters: [
+        { type: "compare", attrPath: "userName", op: "sw", value: "J" },
+        {
+          type: "logical",
+          op: "or",
+          filters: [
+            { type: "valuePath", attrPath: "emails", filter: { type: "compare", attrPath: "type", op: "eq", value: "work" } },
+            { type: "not", filter: { type: "compare", attrPath: "active", op: "eq", value: false } },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("should throw invalidFilter for malformed filters", () => {
+    for (const filter of ['userName eq "J', "userName eq", 'userName xx "J"', '(userName eq "J"', 'userName eq "J")']) {
+      expect(() => parseScimFilter(filter)).toThrow(expect.objectContaining({ name: "invalidFilter" }));
+    }
+  });
+
+  it("should match elements case insensitive", () => {
+    const element = { Type: "Work", primary: true, value: "bjensen@example.com" };
+
+    expect(matchScimFilter(parseScimFilter('type eq "work" and primary eq true'), element)).toBe(true);
+    expect(matchScimFilter(parseScimFilter('value ew "EXAMPLE.COM"'), element)).toBe(true);
+    expect(matchScimFilter(parseScimFilter('type eq "home" or not (primary eq true)'), element)).toBe(false);
+    expect(matchScimFilter(parseScimFilter("display pr"), element)).toBe(false);
+  });
+});
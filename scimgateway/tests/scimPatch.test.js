@@ -0,0 +1,57 @@
+const scimDef = require("../lib/scimdef-v2");
+const { getResourceSchema } = require("../lib/utils/scimSchema");
+const { resolvePatch } = require("../lib/utils/scimPatch");
+
+describe("scim patch resolution", () => {
+  const schema = getResourceSchema(scimDef, "User");
+  const enterprise = "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User";
+  const current = {
+    emails: [
+      { value: "bjensen@work.example.com", type: "work", primary: true },
+      { value: "bjensen@home.example.com", type: "home" },
+    ],
+  };
+  const resolve = (...operations) => resolvePatch({ Operations: operations }, schema, async () => current);
+
+  it("should split operations without path and complex values", async () => {
+    const resolved = await resolve(
+      { op: "replace", value: { displayName: "Babs", "urn:ietf:params:scim:schemas:core:2.0:User": { nickName: "B" } } },
+      { op: "replace", path: `${enterprise}:manager`, value: { value: "123" } }
+    );
+
+    expect(resolved.Operations).toEqual([
+      { op: "replace", path: "displayName", value: "Babs" },
+      { op: "replace", path: "nickName", value: "B" },
+      { op: "replace", path: `${enterprise}:manager.value`, value: "123" },
+    ]);
+  });
+
+  it("should resolve value filters against the current elements", async () => {
+    const resolved = await resolve({ op: "replace", path: 'emails[type eq "work"].value', value: "babs@work.example.com" });
+
+    expect(resolved.Operations).toEqual([
+      { op: "remove", path: "emails", value: [current.emails[0]] },
+      { op: "add", path: "emails", value: [{ ...current.emails[0], value: "babs@work.example.com" }] },
+    ]);
+  });
+
+  it("should drop a removed sub-attribute from the element", async () => {
+    const primary = await resolve({ op: "remove", path: 'emails[type eq "work"].primary' });
+
+    expect(primary.Operations).toEqual([
+      { op: "remove", path: "emails", value: [current.emails[0]] },
+      { op: "add", path: "emails", value: [{ value: "bjensen@work.example.com", type: "work" }] },
+    ]);
+
+    const value = await resolve({ op: "remove", path: 'emails[type eq "home"].value' });
+
+    expect(value.Operations).toEqual([{ op: "remove", path: "emails", value: [current.emails[1]] }]);
+  });
+
+  it("should throw noTarget when replace matches no element", async () => {
+    await expect(resolve({ op: "replace", path: 'emails[type eq "other"].value', value: "x" })).rejects.toMatchObject({
+      name: "noTarget",
+    });
+    await expect(resolve({ op: "remove", path: 'emails[type eq "other"]' })).resolves.toEqual({ Operations: [] });
+  });
+});
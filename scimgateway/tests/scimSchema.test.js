@@ -0,0 +1,49 @@
+const scimDef = require("../lib/scimdef-v2");
+const { getResourceSchema, validateResource, validatePatch, parsePatchPath } = require("../lib/utils/scimSchema");
+
+describe("scim schema validation", () => {
+  const schema = getResourceSchema(scimDef, "User");
+  const enterprise = "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User";
+  const patch = (operation) => ({ schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [operation] });
+
+  it("should validate resources against the schema", () => {
+    const user = { userName: "bjensen", emails: [{ value: "b@example.com", type: "work" }] };
+
+    expect(() => validateResource(user, schema, { required: true })).not.toThrow();
+    expect(() => validateResource({ externalId: "bjensen" }, schema, { required: true })).toThrow(
+      "attribute userName is required"
+    );
+    expect(() => validateResource({ ...user, active: "yes" }, schema)).toThrow(expect.objectContaining({ name: "invalidValue" }));
+    expect(() => validateResource({ ...user, unknown: 1 }, schema)).toThrow("attribute unknown is not defined by the schema");
+    expect(() => validateResource({ ...user, emails: user.emails[0] }, schema)).toThrow("attribute emails must be an array");
+  });
+
+  it("should accept the Azure AD manager string", () => {
+    expect(() => validateResource({ userName: "bjensen", [enterprise]: { manager: "123" } }, schema)).not.toThrow();
+    expect(() => validatePatch(patch({ op: "replace", path: `${enterprise}:manager`, value: "123" }), schema)).not.toThrow();
+    expect(() => validatePatch(patch({ op: "replace", value: { [`${enterprise}:manager`]: "123" } }), schema)).not.toThrow();
+    expect(() => validatePatch(patch({ op: "replace", path: `${enterprise}:manager`, value: 123 }), schema)).toThrow(
+      expect.objectContaining({ name: "invalidValue" })
+    );
+  });
+
+  it("should validate PATCH operations and paths", () => {
+    expect(parsePatchPath('emails[type eq "work"].value')).toEqual({
+      urn: undefined,
+      attr: "emails",
+      filter: 'type eq "work"',
+      subAttr: "value",
+    });
+    const email = { op: "add", path: 'emails[type eq "work"].value', value: "b@example.com" };
+
+    expect(() => validatePatch(patch(email), schema)).not.toThrow();
+    expect(() => validatePatch(patch({ ...email, op: "move" }), schema)).toThrow("must be add, remove or replace");
+    expect(() => validatePatch(patch({ op: "remove" }), schema)).toThrow(expect.objectContaining({ name: "noTarget" }));
+    expect(() => validatePatch(patch({ op: "replace", path: "userName[type eq \"x\"]", value: "x" }), schema)).toThrow(
+      expect.objectContaining({ name: "invalidPath" })
+    );
+    expect(() => validatePatch(patch({ op: "replace", path: "name.unknown", value: "x" }), schema)).toThrow(
+      "path name.unknown is not defined by the schema"
+    );
+  });
+});
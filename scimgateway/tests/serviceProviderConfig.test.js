@@ -0,0 +1,55 @@
+const scimDef = require("../lib/scimdef-v2");
+const {
+  defaultMaxResults,
+  getCapabilities,
+  getAuthenticationSchemes,
+  getServiceProviderConfig,
+  getResourceTypes,
+} = require("../lib/utils/serviceProviderConfig");
+
+describe("service provider config", () => {
+  it("should assemble the capabilities declared and implemented by the plugin", () => {
+    expect(getCapabilities()).toEqual({
+      filter: true,
+      sort: false,
+      patch: true,
+      bulk: false,
+      etag: false,
+      changePassword: false,
+      maxResults: defaultMaxResults,
+      maxOperations: 1000,
+      maxPayloadSize: 1048576,
+    });
+
+    const capabilities = getCapabilities(
+      { sort: true, bulk: "true", etag: true, changePassword: true, maxResults: "50", maxOperations: 0 },
+      { patch: false, changePassword: false }
+    );
+
+    expect(capabilities).toMatchObject({ sort: true, patch: false, bulk: false, etag: true, changePassword: false });
+    expect(capabilities).toMatchObject({ maxResults: 50, maxOperations: 1000 });
+    expect(getCapabilities({ bulk: true }).bulk).toBe(true);
+  });
+
+  it("should return the config and resource types", () => {
+    const schemes = getAuthenticationSchemes(["bearerOAuth", "unknown", "basic"], true);
+
+    expect(schemes.map((scheme) => [scheme.type, scheme.primary])).toEqual([
+      ["oauth2", true],
+      ["httpbasic", false],
+    ]);
+    expect(getAuthenticationSchemes(["basic"], false)[0]).toHaveProperty("specUrl", "https://www.rfc-editor.org/info/rfc7617");
+
+    const config = getServiceProviderConfig(scimDef, getCapabilities({ bulk: true, maxPayloadSize: 1000 }), schemes);
+
+    expect(config.bulk).toEqual({ supported: true, maxOperations: 1000, maxPayloadSize: 1000 });
+    expect(config.sort).toEqual({ supported: false });
+    expect(config.authenticationSchemes).toBe(schemes);
+    expect(scimDef.ServiceProviderConfigs.authenticationSchemes).not.toBe(schemes);
+
+    const resourceTypes = getResourceTypes(scimDef, ["User"]);
+
+    expect(resourceTypes.totalResults).toBe(1);
+    expect(resourceTypes.Resources[0].name).toBe("User");
+  });
+});
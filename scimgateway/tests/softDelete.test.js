@@ -0,0 +1,66 @@
+const {
+  releaseUniqueValues,
+  restoreUniqueValues,
+  purgeDeleted,
+  startPurgeJob,
+} = require("../lib/utils/softDelete");
+
+describe("soft delete", () => {
+  const fields = ["username", "externalId"];
+
+  it("should release and restore the unique values of a deleted row", () => {
+    const row = { id: "64f1", username: "jdoe", externalId: "E1", active: true };
+    const data = releaseUniqueValues({ active: false }, row, fields);
+
+    expect(data).toEqual({ active: false, username: "jdoe~deleted~64f1", externalId: "E1~deleted~64f1" });
+    expect(restoreUniqueValues({ ...row, ...data }, fields)).toEqual({ ...row, active: false });
+  });
+
+  it("should not release missing or already released values", () => {
+    const row = { id: "64f1", username: "jdoe~deleted~64f1", externalId: null };
+
+    expect(releaseUniqueValues({}, row, fields)).toEqual({});
+    expect(restoreUniqueValues({ id: "64f1", username: "jdoe" }, fields)).toEqual({ id: "64f1", username: "jdoe" });
+  });
+
+  it("should purge and notify the resources deleted before the retention period", async () => {
+    const now = Date.parse("2024-03-31T00:00:00Z");
+    const removed = [];
+    const notified = [];
+    const resource = (name, rows) => ({
+      name,
+      findDeleted: async (before) => rows.filter((row) => row.deletedAt < before),
+      remove: async (row) => removed.push(row.id),
+      notify: async (row) => notified.push(row.id),
+    });
+
+    const { before, purged } = await purgeDeleted(30, [
+      resource("users", [
+        { id: "u1", deletedAt: new Date("2024-02-01T00:00:00Z") },
+        { id: "u2", deletedAt: new Date("2024-03-30T00:00:00Z") },
+      ]),
+      resource("groups", [{ id: "g1", deletedAt: new Date("2024-01-01T00:00:00Z") }]),
+    ], now);
+
+    expect(before.toISOString()).toBe("2024-03-01T00:00:00.000Z");
+    expect(purged).toEqual({ users: 1, groups: 1 });
+    expect(removed).toEqual(["u1", "g1"]);
+    expect(notified).toEqual(["u1", "g1"]);
+  });
+
+  it("should run the purge job every purgeInterval only when enabled", async () => {
+    jest.useFakeTimers();
+    const purge = jest.fn().mockResolvedValueOnce().mockRejectedValueOnce(new Error("db down"));
+    const onError = jest.fn();
+
+    expect(startPurgeJob({ enabled: false, purgeInterval: 60 }, purge, onError)).toBeNull();
+
+    const timer = startPurgeJob({ enabled: true, purgeInterval: 60 }, purge, onError);
+    await jest.advanceTimersByTimeAsync(120 * 1000);
+    clearInterval(timer);
+    jest.useRealTimers();
+
+    expect(purge).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledWith(new Error("db down"));
+  });
+});